@@ -6,7 +6,7 @@ import {Core} from "../core-js/core.mjs";
 
 Core.infect();
 
-import {UXML} from "./uxml.mjs";
+import {UXML, UXMLPushParser, UXMLTreeBuilder} from "./uxml.mjs";
 import "./uxml2uson.mjs";
 
 const xml = `<?xml version="1.0" encoding="utf-8"?>
@@ -35,4 +35,40 @@ if (notFound.isNull()) {
 console.log();
 console.log (UXML.toUson (doc));
 
+/* The lossless mapping must reproduce the document exactly,
+// mixed content, comments, and CDATA sections included */
+const mixed = UXML.parse (`<?xml version="1.0"?>
+<!-- Mixed content -->
+<p class="note">Text <em>with</em> <![CDATA[<tags>]]> inside<?br?></p>`);
+
+const lossless = UXML.toUson (mixed, {lossless: true});
+console.log();
+console.log (JSON.stringify (lossless));
+
+for (let indent of [0, 2]) {
+  if (UXML.stringify (UXML.fromUson (lossless), indent)
+  !== UXML.stringify (mixed, indent)) {
+    throw new Error("Lossless USON round trip failed");
+  }
+}
+
+/* Byte chunks may split multibyte characters anywhere */
+const bytes = new TextEncoder().encode (`<p title="Ærø">Smørrebrød 😀</p>`);
+
+for (let size of [1, 2, 3, 5]) {
+  const builder = new UXMLTreeBuilder();
+  const parser = new UXMLPushParser(builder);
+
+  for (let idx = 0; idx < bytes.length; idx += size) {
+    parser.write (bytes.subarray (idx, idx + size));
+  }
+
+  parser.end();
+
+  if (UXML.stringify (builder.result)
+  !== UXML.stringify (UXML.parseBytes (bytes))) {
+    throw new Error("Chunked parsing failed at " + size + " bytes per chunk");
+  }
+}
+
 /* ===------------------------------- {U} --------------------------------=== */
@@ -0,0 +1,405 @@
+/* ================================= $ J $ =====================================
+// <uxml-builder.mjs>
+//
+// UXML tree builders.
+//
+// This plug-in adds two ways of constructing the trees in code:
+//
+//   * `UXML.h (name, attrs, ...children)`, hyperscript-style;
+//   * `` UXML.xml`<item id=${id}>${label}</item>` `` tagged templates.
+//
+// Interpolated values never go through the parser: the template
+// is parsed with placeholders, which are then replaced with the values,
+// so no value can change the structure of the tree. Depending on where
+// the placeholder is, the value becomes:
+//
+//   * text, or the node(s) in place of it, in the content;
+//   * the attribute value (quoted or not in the template);
+//   * the attributes from an object inside of the tag;
+//   * a part of the tag or attribute name, if it's a valid one;
+//   * a part of the comment, CDATA section, processing instruction,
+//     or document type, as long as it doesn't end it early.
+//
+// Copyright garnetius.
+// -------------------------------------------------------------------------- */
+
+"use strict"
+
+import {UXML, UXMLNode, UXMLDocument} from "./uxml.mjs";
+
+/* =============================================================================
+// Add static functions
+// -------------------------------------------------------------------------- */
+
+Object.defineProperties (UXML, {
+
+/* ===--------------------------------------------------------------------------
+// Set the attributes from an object, a `Map`, or `[name, value]` pairs:
+// `null`, `undefined`, and `false` values are skipped,
+// and `true` makes the attribute empty */
+buildAttrs: {value: function (node, attrs) {
+  if (attrs === null || attrs === undefined) {
+    return node;
+  }
+
+  if (typeof attrs !== "object" || attrs instanceof UXMLNode) {
+    throw new TypeError("Attributes must be an object");
+  }
+
+  const entries = (typeof attrs[Symbol.iterator] === "function")
+  ? attrs : Object.entries (attrs);
+
+  for (let [name, value] of entries) {
+    if (!UXML.isAttrName (name)) {
+      throw new TypeError("Invalid attribute name " + JSON.stringify (name));
+    }
+
+    if (value === null || value === undefined || value === false) continue;
+    node.attributes.set (name, (value === true) ? "" : String (value));
+  }
+
+  return node;
+}},
+
+/* ===--------------------------------------------------------------------------
+// Append the children: strings and numbers become text nodes,
+// arrays are flattened, and `null`, `undefined`, and booleans
+// are skipped. The nodes are moved, not copied. */
+buildChildren: {value: function (node, children) {
+  for (let child of children) {
+    if (Array.isArray (child)) {
+      UXML.buildChildren (node, child);
+    } else if (child instanceof UXMLDocument) {
+      node.append (child.root);
+    } else if (child instanceof UXMLNode) {
+      if (child.type === UXML.nodeType.nul) continue;
+      node.append (child);
+    } else if (child !== null && child !== undefined
+    && typeof child !== "boolean") {
+      const str = String (child);
+      const last = node.lastNode;
+
+      if (str.length === 0) continue;
+
+      /* Adjacent strings make a single text node */
+      if (last !== null && last.type === UXML.nodeType.text) {
+        last.value += str;
+      } else {
+        node.append (UXMLDocument.newTextNode (str));
+      }
+    }
+  }
+
+  return node;
+}},
+
+/* ===--------------------------------------------------------------------------
+// Hyperscript: the attributes may be omitted */
+h: {value: function (name, attrs, ...children) {
+  if (typeof name !== "string" || !UXML.isTagName (name)) {
+    throw new TypeError("Invalid tag name " + JSON.stringify (name));
+  }
+
+  const node = UXMLDocument.newTagNode (name);
+
+  if (attrs !== null && typeof attrs === "object" && !Array.isArray (attrs)
+  && !(attrs instanceof UXMLNode) && !(attrs instanceof UXMLDocument)) {
+    UXML.buildAttrs (node, attrs);
+  } else {
+    children.unshift (attrs);
+  }
+
+  return UXML.buildChildren (node, children);
+}},
+
+/* ===--------------------------------------------------------------------------
+// Placeholder of the `idx`th value in the template */
+templateMarker: {value: (idx) => "\u{E000}" + idx + "\u{E001}"},
+
+/* ===--------------------------------------------------------------------------
+// Scan the static part of the template, and return
+// the context at its end given the context at its start */
+templateContext: {value: function (str, state) {
+  const space = (chr) => chr <= ' ';
+
+  for (let idx = 0; idx < str.length; ++idx) {
+    const chr = str[idx];
+
+    switch (state) {
+    case "text":
+      if (chr !== '<') break;
+
+      if (str.startsWith ("<!--", idx)) {
+        state = "comment";
+        idx += 3;
+      } else if (str.startsWith ("<![CDATA[", idx)) {
+        state = "cdata";
+        idx += 8;
+      } else if (str[idx + 1] === '?') {
+        state = "pi";
+        ++idx;
+      } else if (str[idx + 1] === '!') {
+        state = "decl";
+        ++idx;
+      } else if (str[idx + 1] === '/') {
+        state = "name";
+        ++idx;
+      } else if (idx + 1 === str.length || !space (str[idx + 1])) {
+        state = "name";
+      }
+
+      break;
+    case "name":
+    case "attr":
+      if (chr === '>') state = "text";
+      else if (chr === '=' && state === "attr") state = "value";
+      else if (space (chr) || chr === '/') state = "tag";
+      break;
+    case "tag":
+      if (chr === '>') state = "text";
+      else if (chr === '=') state = "value";
+      else if (chr === '"' || chr === "'") state = chr;
+      else if (!space (chr) && chr !== '/') state = "attr";
+      break;
+    case "value":
+      if (chr === '>') state = "text";
+      else if (chr === '"' || chr === "'") state = chr;
+      else if (!space (chr)) state = "tag";
+      break;
+    case '"':
+    case "'":
+      if (chr === state) state = "tag";
+      break;
+    case "comment":
+      if (str.startsWith ("-->", idx)) {
+        state = "text";
+        idx += 2;
+      }
+      break;
+    case "cdata":
+      if (str.startsWith ("]]>", idx)) {
+        state = "text";
+        idx += 2;
+      }
+      break;
+    case "pi":
+      if (str.startsWith ("?>", idx)) {
+        state = "text";
+        ++idx;
+      }
+      break;
+    case "decl":
+      if (chr === '>') state = "text";
+      else if (chr === '[') state = "subset";
+      break;
+    case "subset":
+      if (chr === ']') state = "decl";
+      break;
+    }
+  }
+
+  return state;
+}},
+
+/* ===--------------------------------------------------------------------------
+// Replace the placeholders in the string with the string values */
+templateString: {value: function (str, values) {
+  return str.replace (UXML.pattern.templateMarker, (marker, idx) => {
+    const value = values[idx];
+
+    if (value instanceof UXMLNode || value instanceof UXMLDocument) {
+      throw new TypeError("Nodes can only be placed into the content");
+    }
+
+    return (value === null || value === undefined) ? "" : String (value);
+  });
+}},
+
+/* ===--------------------------------------------------------------------------
+// Replace the placeholders in the comment, CDATA section, processing
+// instruction, or literal, rejecting the values that would end it early */
+templateSection: {value: function (str, values, forbidden, what) {
+  const res = UXML.templateString (str, values);
+
+  if (forbidden.test (res)
+  && !forbidden.test (str.replace (UXML.pattern.templateMarker, ""))) {
+    throw new TypeError("Value breaks out of the " + what);
+  }
+
+  return res;
+}},
+
+/* ===--------------------------------------------------------------------------
+// Replace the placeholders in the name, which must stay valid */
+templateName: {value: function (str, values) {
+  const res = UXML.templateString (str, values);
+
+  if (!UXML.isTagName (res)) {
+    throw new TypeError("Invalid name " + JSON.stringify (res));
+  }
+
+  return res;
+}},
+
+/* ===--------------------------------------------------------------------------
+// Replace the placeholders in the parsed tree */
+templateFill: {value: function (node, values) {
+  const regex = UXML.pattern.templateMarker;
+  const fill = (str) => UXML.templateString (str, values);
+  const marked = (str) => str !== null && str.indexOf ("\u{E000}") !== -1;
+
+  switch (node.type) {
+  case UXML.nodeType.text: {
+    if (node.value.indexOf ("\u{E000}") === -1) return;
+
+    /* Split the text into the strings and the values */
+    const parts = [];
+    let from = 0;
+    let match;
+
+    regex.lastIndex = 0;
+
+    while ((match = regex.exec (node.value)) !== null) {
+      parts.push (node.value.substring (from, match.index), values[match[1]]);
+      from = regex.lastIndex;
+    }
+
+    parts.push (node.value.substring (from));
+
+    const frag = UXML.buildChildren (UXMLDocument.newTagNode ("_"), parts);
+
+    while (frag.firstNode !== null) {
+      node.superNode.insert (frag.firstNode, node);
+    }
+
+    node.detach();
+    return;
+  }
+  case UXML.nodeType.cdata:
+    node.value = UXML.templateSection (node.value, values
+    , UXML.pattern.templateCdata, "CDATA section");
+    return;
+  case UXML.nodeType.comment:
+    node.value = UXML.templateSection (node.value, values
+    , UXML.pattern.templateComment, "comment");
+    return;
+  case UXML.nodeType.pi:
+    if (marked (node.target)) {
+      node.target = UXML.templateName (node.target, values);
+    }
+
+    node.data = UXML.templateSection (node.data, values
+    , UXML.pattern.templatePi, "processing instruction");
+    return;
+  case UXML.nodeType.doctype:
+    if (marked (node.name)) {
+      node.name = UXML.templateName (node.name, values);
+    }
+
+    /* The literals are quoted with either kind of quotes */
+    for (let id of ["publicId", "systemId"]) {
+      if (marked (node[id])) {
+        node[id] = UXML.templateSection (node[id], values
+        , UXML.pattern.templateLiteral, "literal");
+      }
+    }
+
+    return;
+  case UXML.nodeType.tag:
+    break;
+  default:
+    return;
+  }
+
+  for (let [name, value] of Array.from (node.attributes)) {
+    const spread = UXML.pattern.templateSingle.exec (name);
+
+    if (spread !== null) {
+      /* The attributes from the object inside of the tag */
+      node.attributes.delete (name);
+      UXML.buildAttrs (node, values[spread[1]]);
+      continue;
+    }
+
+    const whole = UXML.pattern.templateSingle.exec (value);
+
+    if (whole !== null) {
+      /* Single value decides whether the attribute is there */
+      const item = values[whole[1]];
+
+      if (item === null || item === undefined || item === false) {
+        node.attributes.delete (name);
+      } else {
+        node.attributes.set (name, (item === true) ? "" : fill (value));
+      }
+    } else if (value.indexOf ("\u{E000}") !== -1) {
+      node.attributes.set (name, fill (value));
+    }
+  }
+
+  for (let sub of Array.from (node)) {
+    UXML.templateFill (sub, values);
+  }
+}},
+
+/* ===--------------------------------------------------------------------------
+// Tagged template */
+xml: {value: function (strings, ...values) {
+  let state = "text";
+  let str = "";
+
+  strings.forEach ((part, idx) => {
+    str += part;
+    state = UXML.templateContext (part, state);
+    if (idx === values.length) return;
+
+    const marker = UXML.templateMarker (idx);
+    const value = values[idx];
+
+    switch (state) {
+    case "name":
+    case "attr":
+      /* Names are inserted as they are, but must stay valid */
+      if ((typeof value !== "string" && typeof value !== "number")
+      || !UXML.isTagName ('a' + value)) {
+        throw new TypeError("Invalid name part " + JSON.stringify (value));
+      }
+
+      str += value;
+      break;
+    case "tag":
+      str += ' ' + marker + "=\"\"";
+      break;
+    case "value":
+      str += '"' + marker + '"';
+      state = "tag";
+      break;
+    case "subset":
+      throw new TypeError("Values can't be placed into the internal subset");
+    default:
+      str += marker;
+    }
+  });
+
+  const res = UXML.parse (str);
+  const nodes = (res instanceof UXMLDocument) ? res.nodes() : [res];
+
+  for (let node of Array.from (nodes)) {
+    UXML.templateFill (node, values);
+  }
+
+  return res;
+}}
+
+});
+
+Object.defineProperties (UXML.pattern, {
+  templateMarker: {value: /\u{E000}([0-9]+)\u{E001}/gu},
+  templateSingle: {value: /^\u{E000}([0-9]+)\u{E001}$/u},
+  templateComment: {value: /--|-$/u},
+  templateCdata: {value: /\]\]>/u},
+  templatePi: {value: /\?>/u},
+  templateLiteral: {value: /"[^]*'|'[^]*"/u}
+});
+
+/* ===------------------------------- {U} --------------------------------=== */
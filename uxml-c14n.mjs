@@ -0,0 +1,345 @@
+/* ================================= $ J $ =====================================
+// <uxml-c14n.mjs>
+//
+// UXML canonical form.
+//
+// This plug-in adds `UXML.canonicalize()`, which serializes the tree
+// following Canonical XML rules, so documents that differ only in
+// attribute order, quotes, entities, or insignificant whitespace
+// come out the same, and `UXML.hash()` computing SHA-256 of it:
+//
+//   * no XML declaration and document type, and line feeds
+//     between the nodes around the root element;
+//   * attributes in order, namespace declarations first,
+//     double quotes, and a fixed set of escaped characters;
+//   * empty tags expanded into `<a></a>`, CDATA sections into text;
+//   * comments only with the `comments` option;
+//   * whitespace-only text between the sub tags dropped
+//     unless the whitespace is preserved;
+//   * with the `namespaces` option only the declarations in use
+//     that aren't already in scope are kept, and the attributes
+//     are ordered by their namespace URI first.
+//
+// Copyright garnetius.
+// -------------------------------------------------------------------------- */
+
+"use strict"
+
+import {
+  UXML,
+  UXMLDocument,
+  UXMLFormatter
+} from "./uxml.mjs";
+
+/* =============================================================================
+// Add formatter methods
+// -------------------------------------------------------------------------- */
+
+Object.defineProperties (UXMLFormatter, {
+
+/* ===--------------------------------------------------------------------------
+// Canonical escaping of text and attribute values */
+canonicalEscape: {value: (str, regex) => {
+  return str.replace (regex, (chr) => UXMLFormatter.canonicalEntities[chr]);
+}},
+
+canonicalEntities: {value: {
+  '&':  "&amp;",
+  '<':  "&lt;",
+  '>':  "&gt;",
+  '"':  "&quot;",
+  '\t': "&#x9;",
+  '\n': "&#xA;",
+  '\r': "&#xD;"
+}}
+
+});
+
+Object.defineProperties (UXMLFormatter.prototype, {
+
+/* ===--------------------------------------------------------------------------
+// Serialize the node or document in the canonical form */
+canonicalize: {value: function (node, opts=UXML.defC14nOpts) {
+  opts = Object.assign ({}, UXML.defC14nOpts, opts);
+
+  const buf = new Array();
+  const escText = (str) => UXMLFormatter.canonicalEscape (str
+  , UXML.pattern.c14nText);
+  const escAttr = (str) => UXMLFormatter.canonicalEscape (str
+  , UXML.pattern.c14nAttr);
+
+  const compare = (a, b) => (a < b) ? -1 : (a > b) ? 1 : 0;
+
+  /* Whitespace-only text between the sub tags is insignificant */
+  const isSpace = (sub) => (sub.type === UXML.nodeType.text)
+  && sub.value.trim().length === 0;
+
+  const elementOnly = (outNode) => {
+    let tags = false;
+
+    for (let sub of outNode) {
+      if (sub.type === UXML.nodeType.tag) {
+        tags = true;
+      } else if (sub.type === UXML.nodeType.cdata
+      || (sub.type === UXML.nodeType.text && !isSpace (sub))) {
+        return false;
+      }
+    }
+
+    return tags;
+  };
+
+  /* Namespace declarations to output given the ones in scope */
+  const declare = (outNode, scope) => {
+    const decls = new Map();
+
+    const need = (prefix, uri) => {
+      if (prefix === "xml") return;
+      if ((scope[prefix] || null) !== uri) decls.set (prefix, uri);
+    };
+
+    if (opts.namespaces) {
+      need (outNode.prefix || "", outNode.namespaceURI);
+
+      for (let [attr] of outNode.attributes) {
+        const sep = attr.indexOf (':');
+
+        if (sep !== -1 && !attr.startsWith ("xmlns:")) {
+          need (attr.substring (0, sep), outNode.attributeNamespaceURI (attr));
+        }
+      }
+    } else {
+      for (let [attr, value] of outNode.attributes) {
+        if (attr === "xmlns" || attr.startsWith ("xmlns:")) {
+          need (attr.substring (6), value || null);
+        }
+      }
+    }
+
+    /* Undeclaring the prefixes isn't possible */
+    for (let [prefix, uri] of decls) {
+      if (prefix.length !== 0 && uri === null) decls.delete (prefix);
+    }
+
+    return decls;
+  };
+
+  const outputNode = (outNode, preserved, scope) => {
+    switch (outNode.type) {
+    case UXML.nodeType.text:
+    case UXML.nodeType.cdata:
+      buf.push (escText (outNode.value));
+      return;
+    case UXML.nodeType.comment:
+      if (opts.comments) buf.push (UXMLFormatter.markup (outNode));
+      return;
+    case UXML.nodeType.pi:
+      buf.push (UXMLFormatter.markup (outNode));
+      return;
+    case UXML.nodeType.tag:
+      break;
+    default:
+      return;
+    }
+
+    preserved = outNode.$preservesSpace (preserved, opts);
+    let str = '<' + outNode.name;
+
+    /* Namespace declarations first, ordered by prefix */
+    const decls = declare (outNode, scope);
+
+    if (decls.size !== 0) {
+      scope = Object.create (scope);
+
+      for (let prefix of Array.from (decls.keys()).sort (compare)) {
+        scope[prefix] = decls.get (prefix);
+        str += " xmlns" + (prefix ? ':' + prefix : "") + "=\""
+        + escAttr (decls.get (prefix) || "") + '"';
+      }
+    }
+
+    /* The rest of the attributes ordered by name,
+    // or by the namespace URI and the local name */
+    const attrs = [];
+
+    for (let [attr, value] of outNode.attributes) {
+      if (attr === "xmlns" || attr.startsWith ("xmlns:")) continue;
+      const sep = attr.indexOf (':');
+
+      attrs.push ([opts.namespaces ? [outNode.attributeNamespaceURI (attr)
+      || "", attr.substring (sep + 1)] : ["", attr], attr, value]);
+    }
+
+    attrs.sort ((a, b) => compare (a[0][0], b[0][0])
+    || compare (a[0][1], b[0][1]));
+
+    for (let [, attr, value] of attrs) {
+      str += ' ' + attr + "=\"" + escAttr (value) + '"';
+    }
+
+    buf.push (str + '>');
+    const skip = !preserved && elementOnly (outNode);
+
+    for (let sub of outNode) {
+      if (!(skip && isSpace (sub))) outputNode (sub, preserved, scope);
+    }
+
+    buf.push ("</" + outNode.name + '>');
+  };
+
+  const scope = Object.assign (Object.create (null), UXML.nsURI);
+
+  if (node instanceof UXMLDocument) {
+    for (let sub of node.prolog) {
+      const len = buf.length;
+      outputNode (sub, false, scope);
+      if (buf.length !== len) buf.push ('\n');
+    }
+
+    outputNode (node.root, !!opts.preserveSpace, scope);
+
+    for (let sub of node.epilog) {
+      const len = buf.length;
+      buf.push ('\n');
+      outputNode (sub, false, scope);
+      if (buf.length === len + 1) buf.pop();
+    }
+  } else {
+    /* The whitespace handling is inherited from the enclosing tags,
+    // while the namespaces in use are declared on the node itself */
+    const inherited = (outNode) => (outNode === null)
+    ? !!opts.preserveSpace
+    : outNode.$preservesSpace (inherited (outNode.superNode), opts);
+
+    outputNode (node, inherited (node.superNode), scope);
+  }
+
+  return buf.join ('');
+}}
+
+});
+
+/* =============================================================================
+// SHA-256
+// -------------------------------------------------------------------------- */
+
+class UXMLHash {
+get [Symbol.toStringTag]() {
+  return "UXMLHash";
+}
+
+/* ===--------------------------------------------------------------------------
+// Hex digest of the string encoded in UTF-8 */
+static sha256 (str) {
+  const K = UXMLHash.rounds;
+  const H = UXMLHash.initial.slice();
+  const bytes = new TextEncoder().encode (str);
+
+  /* Pad to the multiple of 64 bytes with the length in bits at the end */
+  const size = ((bytes.length + 9 + 63) >>> 6) << 6;
+  const data = new Uint8Array(size);
+  data.set (bytes);
+  data[bytes.length] = 0x80;
+
+  const view = new DataView(data.buffer);
+  view.setUint32 (size - 8, Math.floor (bytes.length / 0x20000000));
+  view.setUint32 (size - 4, (bytes.length << 3) >>> 0);
+
+  const W = new Uint32Array(64);
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+  for (let off = 0; off !== size; off += 64) {
+    for (let i = 0; i !== 16; ++i) W[i] = view.getUint32 (off + i * 4);
+
+    for (let i = 16; i !== 64; ++i) {
+      const s0 = rotr (W[i - 15], 7) ^ rotr (W[i - 15], 18) ^ (W[i - 15] >>> 3);
+      const s1 = rotr (W[i - 2], 17) ^ rotr (W[i - 2], 19) ^ (W[i - 2] >>> 10);
+      W[i] = (W[i - 16] + s0 + W[i - 7] + s1) >>> 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = H;
+
+    for (let i = 0; i !== 64; ++i) {
+      const S1 = rotr (e, 6) ^ rotr (e, 11) ^ rotr (e, 25);
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (h + S1 + ch + K[i] + W[i]) >>> 0;
+      const S0 = rotr (a, 2) ^ rotr (a, 13) ^ rotr (a, 22);
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (S0 + maj) >>> 0;
+
+      h = g; g = f; f = e; e = (d + t1) >>> 0;
+      d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+    }
+
+    [a, b, c, d, e, f, g, h].forEach ((x, i) => {
+      H[i] = (H[i] + x) >>> 0;
+    });
+  }
+
+  return H.map ((x) => x.toString (16).padStart (8, '0')).join ('');
+}}
+
+Object.defineProperties (UXMLHash, {
+  initial: {value: [
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+    0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+  ]},
+  rounds: {value: [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5,
+    0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+    0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc,
+    0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7,
+    0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+    0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3,
+    0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5,
+    0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+    0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+  ]}
+});
+
+/* =============================================================================
+// Add static functions
+// -------------------------------------------------------------------------- */
+
+Object.defineProperties (UXML, {
+
+defC14nOpts: {value: {
+  comments: false,
+  namespaces: false,
+  preserveSpace: false,
+  preserveTags: []
+}},
+
+/* ===--------------------------------------------------------------------------
+// Canonical form of the node or document */
+canonicalize: {value: (node, opts=UXML.defC14nOpts) =>
+  new UXMLFormatter().canonicalize (node, opts)
+},
+
+/* ===--------------------------------------------------------------------------
+// SHA-256 of the canonical form as a hex string */
+hash: {value: (node, opts=UXML.defC14nOpts) =>
+  UXMLHash.sha256 (UXML.canonicalize (node, opts))
+}
+
+});
+
+Object.defineProperties (UXML.pattern, {
+  c14nText: {value: /[&<>\r]/g},
+  c14nAttr: {value: /[&<"\t\n\r]/g}
+});
+
+/* ===--------------------------------------------------------------------------
+// Exports */
+export {
+  UXMLHash
+}
+
+/* ===------------------------------- {U} --------------------------------=== */
@@ -0,0 +1,556 @@
+#!/usr/bin/env node
+/* ================================= $ J $ =====================================
+// <uxml-cli.mjs>
+//
+// UXML command-line tool.
+//
+//   uxml fmt [-w | --check] [--indent N | --tabs] [--width N] [files]
+//   uxml check [files]
+//   uxml query [--xpath] <expression> [files]
+//   uxml convert --to uson|json [--lossless] [--convention name] [files]
+//
+// The files may be glob patterns (`"docs/*.xml"`), and with no files
+// (or with `-`) the input is read from stdin. All the commands take
+// the `--html`, `--strict`, `--namespaces`, and `--preserve-space`
+// parsing options. The exit status is 1 if any of the files fail
+// (or have no matches, or aren't formatted), and 2 on usage errors.
+//
+// Copyright garnetius.
+// -------------------------------------------------------------------------- */
+
+"use strict"
+
+import fs from "node:fs";
+import path from "node:path";
+import process from "node:process";
+import url from "node:url";
+
+import {
+  UXML,
+  UXMLNode,
+  UXMLParser,
+  UXMLFormatter,
+  UXMLSyntaxError
+} from "./uxml.mjs";
+
+import {UXMLXPath, UXMLAttribute} from "./uxml-xpath.mjs";
+import {UXMLSelector} from "./uxml-select.mjs";
+import "./uxml2uson.mjs";
+import "./uxml2json.mjs";
+import {USON} from "../uson-js/uson.mjs";
+
+/* =============================================================================
+// Command line
+// -------------------------------------------------------------------------- */
+
+class UXMLUsageError extends Error {
+get [Symbol.toStringTag]() {
+  return "UXMLUsageError";
+}}
+
+/* ===--------------------------------------------------------------------------
+// Options of each command: flags and the ones taking a value */
+const commands = {
+  fmt: {
+    flags: ["write", "check", "tabs", "sort-attributes"],
+    values: ["indent", "width"]
+  },
+  check: {flags: [], values: []},
+  query: {flags: ["xpath"], values: ["indent"]},
+  convert: {flags: ["lossless", "coerce"], values: ["to", "convention"
+  , "indent"]}
+};
+
+const common = ["html", "strict", "namespaces", "preserve-space"];
+const aliases = {'w': "write", 'x': "xpath", 'i': "indent", 't': "to"};
+
+const usage = `Usage: uxml <command> [options] [files]
+
+Commands:
+  fmt        Format the files to stdout
+    -w, --write          rewrite the files in place
+    --check              list the files which aren't formatted
+    -i, --indent N       indentation width (2 by default, 0 for none)
+    --tabs               indent with tabs
+    --width N            wrap the text at the column
+    --sort-attributes    order the attributes by name
+  check      Report the syntax errors as file:line:column
+  query      Print the matches of the expression
+    -x, --xpath          XPath (the default for "/..." expressions)
+                         instead of a CSS selector
+  convert    Convert the files into USON or JSON
+    -t, --to FORMAT      uson or json
+    --lossless           ordered USON mapping
+    --convention NAME    badgerfish, parker, or jsonml JSON mapping
+    --coerce             numbers and booleans in JSON
+
+Parsing options:
+  --html, --strict, --namespaces, --preserve-space
+
+The files may be glob patterns, and "-" (or no files) reads stdin.`;
+
+/* ===--------------------------------------------------------------------------
+// Split the arguments into `{command, opts, args}` */
+const parseArgs = (argv) => {
+  const command = argv[0];
+  const spec = commands[command];
+
+  if (spec === undefined) {
+    throw new UXMLUsageError((command === undefined) ? "Missing command"
+    : "Unknown command " + command);
+  }
+
+  const opts = {};
+  const args = [];
+
+  for (let idx = 1; idx < argv.length; ++idx) {
+    const arg = argv[idx];
+
+    if (arg === "--") {
+      args.push (...argv.slice (idx + 1));
+      break;
+    }
+
+    if (arg.length < 2 || arg[0] !== '-') {
+      args.push (arg);
+      continue;
+    }
+
+    const sep = arg.indexOf ('=');
+    let name = (sep === -1) ? arg : arg.substring (0, sep);
+
+    if (name.startsWith ("--")) {
+      name = name.substring (2);
+    } else if (name.length === 2 && aliases[name[1]] !== undefined) {
+      name = aliases[name[1]];
+    } else {
+      throw new UXMLUsageError("Unknown option " + arg);
+    }
+
+    if (spec.values.includes (name)) {
+      if (sep !== -1) {
+        opts[name] = arg.substring (sep + 1);
+      } else if (idx + 1 < argv.length) {
+        opts[name] = argv[++idx];
+      } else {
+        throw new UXMLUsageError("Option " + name + " needs a value");
+      }
+    } else if (spec.flags.includes (name) || common.includes (name)) {
+      if (sep !== -1) {
+        throw new UXMLUsageError("Option " + name + " takes no value");
+      }
+
+      opts[name] = true;
+    } else {
+      throw new UXMLUsageError("Unknown option " + arg);
+    }
+  }
+
+  return {command: command, opts: opts, args: args};
+};
+
+/* ===--------------------------------------------------------------------------
+// Non-negative integer option */
+const intOpt = (opts, name, def) => {
+  const value = opts[name];
+  if (value === undefined) return def;
+
+  if (!/^[0-9]+$/.test (value)) {
+    throw new UXMLUsageError("Option " + name
+    + " must be a non-negative integer");
+  }
+
+  return parseInt (value, 10);
+};
+
+/* =============================================================================
+// Files
+// -------------------------------------------------------------------------- */
+
+/* ===--------------------------------------------------------------------------
+// Glob pattern segment into a regular expression:
+// `*`, `?`, and `[...]` (or `[!...]`) */
+const globRegex = (part) => {
+  let src = "";
+
+  for (let idx = 0; idx < part.length; ++idx) {
+    const chr = part[idx];
+
+    if (chr === '*') {
+      src += ".*";
+    } else if (chr === '?') {
+      src += '.';
+    } else if (chr === '[' && part.indexOf (']', idx + 2) !== -1) {
+      const end = part.indexOf (']', idx + 2);
+      let set = part.substring (idx + 1, end);
+
+      if (set[0] === '!') set = '^' + set.substring (1);
+      src += '[' + set.replace (/\\/g, "\\\\") + ']';
+      idx = end;
+    } else {
+      src += chr.replace (/[.+^${}()|[\]\\]/, "\\$&");
+    }
+  }
+
+  return new RegExp('^' + src + '$');
+};
+
+const isGlob = (str) => /[*?[]/.test (str);
+
+const readDir = (dir) => {
+  try {
+    return fs.readdirSync (dir, {withFileTypes: true});
+  } catch (err) {
+    return [];
+  }
+};
+
+/* ===--------------------------------------------------------------------------
+// Match the remaining pattern segments starting with the directory.
+// `**` matches any number of directories. Hidden entries
+// only match the segments starting with a dot. */
+const globWalk = (dir, parts, idx, out) => {
+  if (idx === parts.length) {
+    out.push (dir);
+    return;
+  }
+
+  const part = parts[idx];
+
+  if (part === "**") {
+    globWalk (dir, parts, idx + 1, out);
+
+    for (let ent of readDir (dir)) {
+      if (ent.isDirectory() && ent.name[0] !== '.') {
+        globWalk (path.join (dir, ent.name), parts, idx, out);
+      }
+    }
+
+    return;
+  }
+
+  if (!isGlob (part)) {
+    const sub = path.join (dir, part);
+    if (fs.existsSync (sub)) globWalk (sub, parts, idx + 1, out);
+    return;
+  }
+
+  const regex = globRegex (part);
+
+  for (let ent of readDir (dir)) {
+    if (!regex.test (ent.name) || (ent.name[0] === '.' && part[0] !== '.')) {
+      continue;
+    }
+
+    if (idx + 1 !== parts.length && !ent.isDirectory()) continue;
+    globWalk (path.join (dir, ent.name), parts, idx + 1, out);
+  }
+};
+
+/* ===--------------------------------------------------------------------------
+// Expand the arguments into the file names (sorted for each pattern),
+// with `-` standing for stdin */
+const expandFiles = (args) => {
+  const files = [];
+
+  if (args.length === 0) {
+    return ['-'];
+  }
+
+  for (let arg of args) {
+    if (arg === '-' || !isGlob (arg)) {
+      files.push (arg);
+      continue;
+    }
+
+    const parts = arg.split ('/');
+    const found = [];
+
+    if (parts[0] === "") {
+      parts.shift();
+      globWalk ('/', parts, 0, found);
+    } else {
+      globWalk ('.', parts, 0, found);
+    }
+
+    const matched = found.filter ((file) => fs.statSync (file).isFile());
+
+    if (matched.length === 0) {
+      throw new UXMLUsageError("No files match " + arg);
+    }
+
+    files.push (...matched.sort());
+  }
+
+  return Array.from (new Set(files));
+};
+
+const fileName = (file) => (file === '-') ? "<stdin>" : file;
+
+/* ===--------------------------------------------------------------------------
+// Read and parse the file into `{text, doc, encoding, bom}`, or report
+// the problem (the syntax error as `file:line:column`) and return `null` */
+const loadFile = (file, opts) => {
+  let bytes;
+
+  try {
+    bytes = fs.readFileSync ((file === '-') ? 0 : file);
+  } catch (err) {
+    process.stderr.write ("uxml: " + err.message + '\n');
+    return null;
+  }
+
+  try {
+    const src = UXMLParser.decode (bytes, !!opts.strict);
+
+    src.doc = UXML.parse (src.text, Object.assign ({}, UXML.defParseOpts, {
+      html: !!opts.html,
+      strict: !!opts.strict,
+      namespaces: !!opts.namespaces,
+      preserveSpace: !!opts["preserve-space"],
+      document: true
+    }));
+
+    return src;
+  } catch (err) {
+    if (!(err instanceof UXMLSyntaxError)) throw err;
+
+    process.stderr.write (fileName (file) + ':' + err.line + ':' + err.column
+    + ": " + err.reason + '\n' + (err.excerpt ? err.excerpt + '\n' : ""));
+    return null;
+  }
+};
+
+/* =============================================================================
+// Commands
+// -------------------------------------------------------------------------- */
+
+/* ===--------------------------------------------------------------------------
+// Format the files to stdout, in place, or list the unformatted ones */
+const fmt = (files, opts) => {
+  const indent = intOpt (opts, "indent", 2);
+  const fmtOpts = Object.assign ({}, UXML.defFmtOpts, {
+    html: !!opts.html,
+    namespaces: !!opts.namespaces,
+    preserveSpace: !!opts["preserve-space"],
+    tabs: !!opts.tabs,
+    width: intOpt (opts, "width", 0),
+    sortAttributes: !!opts["sort-attributes"]
+  });
+
+  if (opts.write && opts.check) {
+    throw new UXMLUsageError("Options write and check can't be combined");
+  }
+
+  if (opts.write && files.includes ('-')) {
+    throw new UXMLUsageError("Can't write stdin in place");
+  }
+
+  let status = 0;
+
+  for (let file of files) {
+    const src = loadFile (file, opts);
+
+    if (src === null) {
+      status = 1;
+      continue;
+    }
+
+    const out = UXML.stringify (src.doc, (opts.tabs && indent === 0) ? 1
+    : indent, fmtOpts) + '\n';
+
+    if (opts.check) {
+      if (out !== src.text) {
+        process.stdout.write (fileName (file) + '\n');
+        status = 1;
+      }
+
+      continue;
+    }
+
+    /* The output keeps the encoding of the file */
+    let bytes;
+
+    try {
+      bytes = UXMLFormatter.encode (out, src.encoding, src.bom);
+    } catch (err) {
+      if (!(err instanceof RangeError)) throw err;
+
+      process.stderr.write (fileName (file) + ": " + err.message + '\n');
+      status = 1;
+      continue;
+    }
+
+    if (!opts.write) {
+      process.stdout.write (bytes);
+    } else if (out !== src.text) {
+      fs.writeFileSync (file, bytes);
+    }
+  }
+
+  return status;
+};
+
+/* ===--------------------------------------------------------------------------
+// Report the syntax errors */
+const check = (files, opts) => {
+  let status = 0;
+
+  for (let file of files) {
+    if (loadFile (file, opts) === null) status = 1;
+  }
+
+  return status;
+};
+
+/* ===--------------------------------------------------------------------------
+// Print the matches, prefixed with the file name if there are many files */
+const query = (files, opts, expr) => {
+  if (expr === undefined) {
+    throw new UXMLUsageError("Missing expression");
+  }
+
+  const xpath = !!opts.xpath || expr.startsWith ('/');
+  const indent = intOpt (opts, "indent", 2);
+  let found = false;
+  let failed = false;
+  let sel;
+
+  try {
+    sel = xpath ? UXMLXPath.compile (expr) : UXMLSelector.compile (expr);
+  } catch (err) {
+    throw new UXMLUsageError("Invalid expression: " + err.message);
+  }
+
+  const print = (item) => {
+    if (item instanceof UXMLAttribute) {
+      return item.value;
+    } else if (item instanceof UXMLNode) {
+      return (item.type === UXML.nodeType.text
+      || item.type === UXML.nodeType.cdata) ? item.value
+      : UXML.stringify (item, indent);
+    }
+
+    return String (item);
+  };
+
+  for (let file of files) {
+    const src = loadFile (file, opts);
+
+    if (src === null) {
+      failed = true;
+      continue;
+    }
+
+    const doc = src.doc;
+    let res;
+
+    if (xpath) {
+      res = sel.evaluate (doc);
+    } else {
+      res = doc.queryAll (sel);
+    }
+
+    if (!Array.isArray (res)) res = [res];
+    const prefix = (files.length > 1) ? fileName (file) + ": " : "";
+
+    for (let item of res) {
+      process.stdout.write (prefix + print (item) + '\n');
+      found = true;
+    }
+  }
+
+  return (found && !failed) ? 0 : 1;
+};
+
+/* ===--------------------------------------------------------------------------
+// Convert the files into USON or JSON */
+const convert = (files, opts) => {
+  const indent = intOpt (opts, "indent", 2);
+  let status = 0;
+
+  if (opts.to !== "uson" && opts.to !== "json") {
+    throw new UXMLUsageError("Option to must be uson or json");
+  }
+
+  for (let file of files) {
+    const src = loadFile (file, opts);
+
+    if (src === null) {
+      status = 1;
+      continue;
+    }
+
+    if (opts.to === "uson") {
+      process.stdout.write (USON.stringify (UXML.toUson (src.doc
+      , {lossless: !!opts.lossless}), null, indent) + '\n');
+    } else {
+      process.stdout.write (JSON.stringify (UXML.toJsonValue (src.doc
+      , Object.assign ({}, UXML.defJsonOpts, {
+        convention: opts.convention || UXML.defJsonOpts.convention,
+        coerce: !!opts.coerce
+      })), null, indent) + '\n');
+    }
+  }
+
+  return status;
+};
+
+/* =============================================================================
+// Main
+// -------------------------------------------------------------------------- */
+
+const main = (argv) => {
+  if (argv.length === 0 || argv[0] === "-h" || argv[0] === "--help") {
+    process.stdout.write (usage + '\n');
+    return (argv.length === 0) ? 2 : 0;
+  }
+
+  try {
+    const {command, opts, args} = parseArgs (argv);
+
+    switch (command) {
+    case "fmt":
+      return fmt (expandFiles (args), opts);
+    case "check":
+      return check (expandFiles (args), opts);
+    case "query":
+      return query (expandFiles (args.slice (1)), opts, args[0]);
+    case "convert":
+      return convert (expandFiles (args), opts);
+    }
+  } catch (err) {
+    if (err instanceof UXMLUsageError) {
+      process.stderr.write ("uxml: " + err.message + "\nTry uxml --help\n");
+      return 2;
+    }
+
+    throw err;
+  }
+};
+
+/* ===--------------------------------------------------------------------------
+// Run only as the script itself (possibly through a symlink),
+// not when imported */
+const isScript = () => {
+  if (process.argv[1] === undefined) return false;
+
+  try {
+    return fs.realpathSync (process.argv[1])
+    === fs.realpathSync (url.fileURLToPath (import.meta.url));
+  } catch (err) {
+    return false;
+  }
+};
+
+if (isScript()) {
+  process.exitCode = main (process.argv.slice (2));
+}
+
+/* ===--------------------------------------------------------------------------
+// Exports */
+export {
+  main
+}
+
+/* ===------------------------------- {U} --------------------------------=== */
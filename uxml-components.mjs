@@ -0,0 +1,379 @@
+/* ================================= $ J $ =====================================
+// <uxml-components.mjs>
+//
+// UXML component instantiation.
+//
+// This plug-in adds `UXML.instantiate()` turning the GUI layout markup
+// into live objects. The registry maps the tag names to the components:
+//
+//   {
+//     form: Form,
+//     editbox: {type: EditBox, props: {size: "int", disabled: "boolean"}},
+//     button: {create: (props, children) => new Button(props, children),
+//       props: {action: "action"}},
+//     "{urn:example:ui}slider": Slider
+//   }
+//
+// A component is either a constructor, or a descriptor with the `type`
+// constructor (or the `create` factory function) and the `props` types.
+// The constructor may also declare them as its static `props`.
+// The names are either as they are in the markup, or namespace URIs
+// in braces followed by the local names, for the namespaced tags.
+//
+// The attributes are converted to props (`max-length` becomes
+// `maxLength`) according to their types: "string" (the default),
+// "number", "int", "boolean", "json", "list" (whitespace-separated),
+// "action", or a function converting the string. The components
+// are created bottom-up, each with `(props, children)`, where
+// the children are the components and the text inside of the tag.
+//
+// The `id` and `name` attributes name the components in the lookup
+// table. The "action" props are dotted paths to methods, starting
+// with a named component or a property of the `context` option,
+// and become the handlers bound to the objects the methods belong to.
+//
+// Copyright garnetius.
+// -------------------------------------------------------------------------- */
+
+"use strict"
+
+import {UXML, UXMLDocument} from "./uxml.mjs";
+
+/* =============================================================================
+// Registry
+// -------------------------------------------------------------------------- */
+
+class UXMLRegistry {
+get [Symbol.toStringTag]() {
+  return "UXMLRegistry";
+}
+
+constructor (registry) {
+  const components = new Map();
+  const entries = (registry instanceof Map) ? registry
+  : Object.entries (registry);
+
+  for (let [name, decl] of entries) {
+    components.set (name, UXMLRegistry.component (name, decl));
+  }
+
+  Object.defineProperties (this, {
+    source: {value: registry},
+    components: {value: components}
+  });
+}
+
+/* ===--------------------------------------------------------------------------
+// Compiled registries are reused */
+static compile (registry) {
+  if (registry instanceof UXMLRegistry) {
+    return registry;
+  }
+
+  let compiled = UXMLRegistry.cache.get (registry);
+
+  if (compiled === undefined) {
+    compiled = new UXMLRegistry(registry);
+    UXMLRegistry.cache.set (registry, compiled);
+  }
+
+  return compiled;
+}
+
+/* ===--------------------------------------------------------------------------
+// Compile the component descriptor into `{create, props}` */
+static component (name, decl) {
+  if (typeof decl === "function") {
+    decl = {type: decl};
+  }
+
+  if (decl === null || typeof decl !== "object"
+  || (typeof decl.type !== "function" && typeof decl.create !== "function")) {
+    throw new TypeError("Component " + name
+    + " must be a constructor or have a create function");
+  }
+
+  const create = (typeof decl.create === "function") ? decl.create
+  : (props, children) => new decl.type(props, children);
+
+  const props = new Map();
+  const types = decl.props || (decl.type && decl.type.props) || {};
+
+  for (let attr of Object.keys (types)) {
+    props.set (attr, UXMLRegistry.prop (name, attr, types[attr]));
+  }
+
+  return {create: create, props: props};
+}
+
+/* ===--------------------------------------------------------------------------
+// Compile the prop type into `{type, convert}`,
+// where `convert` throws if the value is invalid */
+static prop (name, attr, type) {
+  if (typeof type === "function") {
+    return {type: "custom", convert: type};
+  }
+
+  const convert = UXMLRegistry.types[type];
+
+  if (convert === undefined) {
+    throw new TypeError("Unknown type " + JSON.stringify (type)
+    + " of attribute " + attr + " of component " + name);
+  }
+
+  return {type: type, convert: convert};
+}
+
+/* ===--------------------------------------------------------------------------
+// Attribute name as the prop name */
+static propName (attr) {
+  return attr.replace (UXMLRegistry.pattern.separator
+  , (match, chr) => chr.toUpperCase());
+}
+
+static report (state, path, node, message) {
+  state.errors.push ({path: path, node: node, message: message});
+}
+
+/* ===--------------------------------------------------------------------------
+// Find the component of the tag */
+lookup (node) {
+  const uri = node.namespaceURI;
+
+  if (uri !== null) {
+    const comp = this.components.get ('{' + uri + '}' + node.localName);
+    if (comp !== undefined) return comp;
+  }
+
+  return this.components.get (node.name);
+}
+
+/* ===--------------------------------------------------------------------------
+// Instantiate the tree, returning `{root, refs, errors}`.
+// Any errors are thrown unless the `lenient` option is set,
+// and then the unknown tags are skipped. */
+instantiate (node, opts={}) {
+  const state = {
+    errors: [],
+    refs: Object.create (null),
+    context: opts.context || {},
+    /* Action handlers to bind once everything is created */
+    actions: []
+  };
+
+  const root = (node instanceof UXMLDocument) ? node.root : node;
+
+  if (root.type !== UXML.nodeType.tag) {
+    throw new TypeError();
+  }
+
+  const obj = this.build (state, root, '/' + root.name);
+
+  for (let action of state.actions) {
+    this.bind (state, ...action);
+  }
+
+  if (state.errors.length !== 0 && !opts.lenient) {
+    throw new TypeError(state.errors.map ((err) => {
+      const loc = err.node.location;
+      return err.path + (loc ? " (" + loc.line + ':' + loc.column + ')' : "")
+      + ": " + err.message;
+    }).join ('\n'));
+  }
+
+  return {root: obj, refs: state.refs, errors: state.errors};
+}
+
+/* ===--------------------------------------------------------------------------
+// Create the component of the tag, and everything inside of it */
+build (state, node, path) {
+  const comp = this.lookup (node);
+
+  if (comp === undefined) {
+    const uri = node.namespaceURI;
+
+    UXMLRegistry.report (state, path, node, "Unknown component <"
+    + node.name + '>' + ((uri !== null) ? " in namespace " + uri : ""));
+    return undefined;
+  }
+
+  const children = [];
+  const counts = new Map();
+
+  for (let sub of node) {
+    if (sub.type === UXML.nodeType.tag) {
+      const num = (counts.get (sub.name) || 0) + 1;
+      counts.set (sub.name, num);
+
+      const child = this.build (state, sub, path + '/' + sub.name
+      + '[' + num + ']');
+
+      if (child !== undefined) children.push (child);
+    } else if ((sub.type === UXML.nodeType.text
+    || sub.type === UXML.nodeType.cdata) && sub.value.trim().length !== 0) {
+      children.push (sub.value);
+    }
+  }
+
+  const obj = comp.create (this.props (state, node, path, comp), children);
+
+  for (let attr of ["id", "name"]) {
+    const ref = node.attributes.get (attr);
+    if (ref === undefined || state.refs[ref] === obj) continue;
+
+    if (ref in state.refs) {
+      UXMLRegistry.report (state, path + "/@" + attr, node
+      , "Duplicate reference " + ref);
+    } else {
+      state.refs[ref] = obj;
+    }
+  }
+
+  return obj;
+}
+
+/* ===--------------------------------------------------------------------------
+// Convert the attributes to props */
+props (state, node, path, comp) {
+  const props = new Object();
+
+  for (let [attr, value] of node.attributes) {
+    if (attr === "xmlns" || attr.startsWith ("xmlns:")) continue;
+
+    const name = UXMLRegistry.propName (attr);
+    const decl = comp.props.get (attr);
+
+    if (decl === undefined) {
+      props[name] = value;
+    } else if (decl.type === "action") {
+      /* The handler is bound once all the components are there */
+      const slot = {func: null};
+
+      props[name] = function (...args) {
+        if (slot.func === null) {
+          throw new TypeError("Action " + value + " is not bound yet");
+        }
+
+        return slot.func.apply (this, args);
+      };
+
+      state.actions.push ([slot, value, path + "/@" + attr, node]);
+    } else {
+      try {
+        props[name] = decl.convert (value);
+      } catch (err) {
+        UXMLRegistry.report (state, path + "/@" + attr, node, "Attribute "
+        + attr + ": " + err.message);
+      }
+    }
+  }
+
+  return props;
+}
+
+/* ===--------------------------------------------------------------------------
+// Resolve the dotted path to the method. The path starts with the own
+// property of the context, and can't go through the members every object
+// or function has (like `constructor`), so the markup can't reach
+// anything but what the application has put there. */
+bind (state, slot, action, path, node) {
+  const steps = action.split ('.');
+  const first = steps[0];
+  const builtin = steps.find ((step) => UXMLRegistry.builtins.has (step));
+
+  if (builtin !== undefined) {
+    UXMLRegistry.report (state, path, node, "Action " + action
+    + " refers to the built-in property " + builtin);
+    return;
+  }
+
+  let owner = (first in state.refs) ? null : state.context;
+  let target = (first in state.refs) ? state.refs[first]
+  : Object.prototype.hasOwnProperty.call (state.context, first)
+  ? state.context[first] : undefined;
+
+  if (target === undefined || target === null) {
+    UXMLRegistry.report (state, path, node, "Action " + action
+    + " refers to an unknown object " + first);
+    return;
+  }
+
+  for (let step of steps.slice (1)) {
+    owner = target;
+    target = (target === undefined || target === null)
+    ? undefined : target[step];
+  }
+
+  if (typeof target !== "function") {
+    UXMLRegistry.report (state, path, node, "Action " + action
+    + " is not a method");
+    return;
+  }
+
+  slot.func = target.bind (owner);
+}}
+
+Object.defineProperties (UXMLRegistry, {
+  cache: {value: new WeakMap()},
+  /* Names not allowed in the action paths */
+  builtins: {value: new Set(Object.getOwnPropertyNames (Object.prototype)
+  .concat (Object.getOwnPropertyNames (Function.prototype)))},
+  types: {value: {
+    string: (str) => str,
+    number: (str) => {
+      const num = Number (str);
+
+      if (str.trim().length === 0 || isNaN (num)) {
+        throw new TypeError("Expected a number, found "
+        + JSON.stringify (str));
+      }
+
+      return num;
+    },
+    int: (str) => {
+      if (!UXMLRegistry.pattern.int.test (str)) {
+        throw new TypeError("Expected an integer, found "
+        + JSON.stringify (str));
+      }
+
+      return parseInt (str, 10);
+    },
+    boolean: (str) => {
+      if (str === "false") return false;
+      if (str === "" || str === "true") return true;
+      throw new TypeError("Expected true or false, found "
+      + JSON.stringify (str));
+    },
+    json: (str) => JSON.parse (str),
+    list: (str) => str.split (UXML.pattern.wspace).filter ((item) => {
+      return item.length !== 0;
+    }),
+    action: (str) => str
+  }},
+  pattern: {value: {
+    separator: /[-_.:]+(.)/g,
+    int: /^[+-]?[0-9]+$/
+  }}
+});
+
+/* =============================================================================
+// Add static functions
+// -------------------------------------------------------------------------- */
+
+Object.defineProperties (UXML, {
+
+/* ===--------------------------------------------------------------------------
+// Create the components described by the node or document */
+instantiate: {value: function (node, registry, opts={}) {
+  return UXMLRegistry.compile (registry).instantiate (node, opts);
+}}
+
+});
+
+/* ===--------------------------------------------------------------------------
+// Exports */
+export {
+  UXMLRegistry
+}
+
+/* ===------------------------------- {U} --------------------------------=== */
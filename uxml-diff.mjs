@@ -0,0 +1,414 @@
+/* ================================= $ J $ =====================================
+// <uxml-diff.mjs>
+//
+// UXML structural diff and patch.
+//
+// This plug-in compares two trees and produces an edit script:
+// a list of plain objects, which serializes to USON or JSON as is,
+// and applies such script to a tree:
+//
+//   * `{op: "insert", path, index, node}`: insert the node
+//     (given as markup) into the tag at the path;
+//   * `{op: "delete", path}`: remove the node;
+//   * `{op: "move", path, index}`: move the node within its parent tag;
+//   * `{op: "addAttr", path, name, value}`,
+//     `{op: "changeAttr", path, name, value, old}`,
+//     `{op: "removeAttr", path, name, old}`: attribute changes;
+//   * `{op: "text", path, value, old}`: text, CDATA section, comment,
+//     or processing instruction data change;
+//   * `{op: "rename", path, name, old}`: root tag name change.
+//
+// The operations are applied in order, and the paths and indices
+// refer to the tree as it is at the time. The path steps go down
+// from the root tag: a number is the sub node index, and a string
+// is the value of the key attribute (`id` by default) of the sub tag.
+// The keyed tags are matched by the key and can be moved around,
+// the rest are matched in order. Only the root tags of documents
+// are compared.
+//
+// Copyright garnetius.
+// -------------------------------------------------------------------------- */
+
+"use strict"
+
+import {UXML, UXMLDocument, nullNode} from "./uxml.mjs";
+
+/* =============================================================================
+// Add static functions
+// -------------------------------------------------------------------------- */
+
+Object.defineProperties (UXML, {
+
+/* ===--------------------------------------------------------------------------
+// Default diff and patch options */
+defDiffOpts: {value: {
+  /* Attributes identifying the sub tags, in order of preference */
+  keys: ["id"]
+}},
+
+/* ===--------------------------------------------------------------------------
+// Key attribute value of the tag, or `null` */
+diffKey: {value: function (node, opts) {
+  if (node.type !== UXML.nodeType.tag) return null;
+
+  for (let key of opts.keys || []) {
+    const value = node.attributes.get (key);
+    if (value !== undefined) return value;
+  }
+
+  return null;
+}},
+
+/* ===--------------------------------------------------------------------------
+// Map the key values unique among the sibling tags to the tags */
+diffKeys: {value: function (nodes, opts) {
+  const keys = new Map();
+  const dups = new Set();
+
+  for (let node of nodes) {
+    const key = UXML.diffKey (node, opts);
+    if (key === null) continue;
+
+    if (keys.has (key)) dups.add (key);
+    else keys.set (key, node);
+  }
+
+  for (let key of dups) keys.delete (key);
+
+  return keys;
+}},
+
+/* ===--------------------------------------------------------------------------
+// Tags match by name, processing instructions by target,
+// and the rest of the nodes by type */
+diffSignature: {value: function (node) {
+  switch (node.type) {
+  case UXML.nodeType.tag: return "1:" + node.name;
+  case UXML.nodeType.pi:  return "5:" + node.target;
+  default: return String (node.type);
+  }
+}},
+
+/* ===--------------------------------------------------------------------------
+// Match the nodes in order (longest common subsequence) */
+diffMatch: {value: function (as, bs, match) {
+  const sig = UXML.diffSignature;
+  let head = 0;
+  let tail = 0;
+
+  /* Common beginning and end are cheap to match */
+  while (head < as.length && head < bs.length
+  && sig (as[head]) === sig (bs[head])) {
+    match.set (as[head], bs[head]);
+    ++head;
+  }
+
+  while (tail < as.length - head && tail < bs.length - head
+  && sig (as[as.length - 1 - tail]) === sig (bs[bs.length - 1 - tail])) {
+    match.set (as[as.length - 1 - tail], bs[bs.length - 1 - tail]);
+    ++tail;
+  }
+
+  const n = as.length - head - tail;
+  const m = bs.length - head - tail;
+  if (n === 0 || m === 0) return;
+
+  const asig = as.slice (head, head + n).map (sig);
+  const bsig = bs.slice (head, head + m).map (sig);
+  const lens = new Uint32Array((n + 1) * (m + 1));
+
+  for (let i = n - 1; i >= 0; --i) {
+    for (let j = m - 1; j >= 0; --j) {
+      lens[i * (m + 1) + j] = (asig[i] === bsig[j])
+      ? lens[(i + 1) * (m + 1) + j + 1] + 1
+      : Math.max (lens[(i + 1) * (m + 1) + j], lens[i * (m + 1) + j + 1]);
+    }
+  }
+
+  for (let i = 0, j = 0; i < n && j < m;) {
+    if (asig[i] === bsig[j]) {
+      match.set (as[head + i], bs[head + j]);
+      ++i; ++j;
+    } else if (lens[(i + 1) * (m + 1) + j] >= lens[i * (m + 1) + j + 1]) {
+      ++i;
+    } else {
+      ++j;
+    }
+  }
+}},
+
+/* ===--------------------------------------------------------------------------
+// Indices of the longest increasing subsequence */
+diffIncreasing: {value: function (seq) {
+  const lens = seq.map (() => 1);
+  const prev = seq.map (() => -1);
+  let best = -1;
+
+  for (let i = 0; i !== seq.length; ++i) {
+    for (let j = 0; j !== i; ++j) {
+      if (seq[j] < seq[i] && lens[j] + 1 > lens[i]) {
+        lens[i] = lens[j] + 1;
+        prev[i] = j;
+      }
+    }
+
+    if (best === -1 || lens[i] > lens[best]) best = i;
+  }
+
+  const out = new Set();
+
+  for (let i = best; i !== -1; i = prev[i]) {
+    out.add (i);
+  }
+
+  return out;
+}},
+
+/* ===--------------------------------------------------------------------------
+// Compare the attributes and the sub nodes of two tags */
+diffTags: {value: function (a, b, path, ops, opts) {
+  for (let [name, old] of a.attributes) {
+    if (!b.attributes.has (name)) {
+      ops.push ({op: "removeAttr", path: path, name: name, old: old});
+    }
+  }
+
+  for (let [name, value] of b.attributes) {
+    const old = a.attributes.get (name);
+
+    if (old === undefined) {
+      ops.push ({op: "addAttr", path: path, name: name, value: value});
+    } else if (old !== value) {
+      ops.push ({op: "changeAttr", path: path, name: name
+      , value: value, old: old});
+    }
+  }
+
+  const as = Array.from (a);
+  const bs = Array.from (b);
+
+  /* Match the keyed tags first, then the rest in order */
+  const match = new Map();
+  const keyed = new Set();
+  const akeys = UXML.diffKeys (as, opts);
+  const bkeys = UXML.diffKeys (bs, opts);
+
+  for (let [key, anode] of akeys) {
+    const bnode = bkeys.get (key);
+
+    if (bnode !== undefined && bnode.name === anode.name) {
+      match.set (anode, bnode);
+      keyed.add (anode);
+    }
+  }
+
+  const rev = new Map();
+  for (let [anode, bnode] of match) rev.set (bnode, anode);
+
+  UXML.diffMatch (as.filter ((node) => !match.has (node))
+  , bs.filter ((node) => !rev.has (node)), match);
+
+  for (let [anode, bnode] of match) rev.set (bnode, anode);
+
+  /* Keyed tags are addressed by the key, the rest by the index */
+  const step = (node, idx) => (akeys.get (UXML.diffKey (node, opts)) === node
+  && (keyed.has (node) || !match.has (node))) ? UXML.diffKey (node, opts) : idx;
+
+  /* Delete the unmatched nodes starting from the end
+  // so that the indices stay valid */
+  for (let idx = as.length - 1; idx >= 0; --idx) {
+    if (!match.has (as[idx])) {
+      ops.push ({op: "delete", path: path.concat ([step (as[idx], idx)])});
+    }
+  }
+
+  /* The matched nodes which keep their relative order stay,
+  // the others are moved after their preceding node */
+  const curr = as.filter ((node) => match.has (node));
+  const order = new Map(curr.map ((node, idx) => [node, idx]));
+  const seq = bs.filter ((node) => rev.has (node));
+  const stay = new Set();
+
+  for (let idx of UXML.diffIncreasing (seq.map ((node) =>
+  order.get (rev.get (node))))) {
+    stay.add (rev.get (seq[idx]));
+  }
+
+  const after = (idx) => (idx === 0) ? 0
+  : curr.indexOf (rev.get (bs[idx - 1]) || bs[idx - 1]) + 1;
+
+  bs.forEach ((bnode, idx) => {
+    const anode = rev.get (bnode);
+
+    if (anode === undefined) {
+      const pos = after (idx);
+      curr.splice (pos, 0, bnode);
+
+      ops.push ({op: "insert", path: path, index: pos
+      , node: UXML.stringify (bnode)});
+    } else if (!stay.has (anode)) {
+      const from = curr.indexOf (anode);
+      curr.splice (from, 1);
+
+      const pos = after (idx);
+      curr.splice (pos, 0, anode);
+
+      if (pos !== from) {
+        ops.push ({op: "move", path: path.concat ([step (anode, from)])
+        , index: pos});
+      }
+    }
+  });
+
+  /* The sub nodes are now in place */
+  bs.forEach ((bnode, idx) => {
+    const anode = rev.get (bnode);
+    if (anode === undefined) return;
+
+    const sub = path.concat ([step (anode, idx)]);
+
+    switch (anode.type) {
+    case UXML.nodeType.tag:
+      UXML.diffTags (anode, bnode, sub, ops, opts);
+      break;
+    case UXML.nodeType.pi:
+      if (anode.data !== bnode.data) {
+        ops.push ({op: "text", path: sub, value: bnode.data, old: anode.data});
+      }
+      break;
+    default:
+      if (anode.value !== bnode.value) {
+        ops.push ({op: "text", path: sub
+        , value: bnode.value, old: anode.value});
+      }
+    }
+  });
+}},
+
+/* ===--------------------------------------------------------------------------
+// Edit script turning one tree into another */
+diff: {value: function (a, b, opts=UXML.defDiffOpts) {
+  opts = Object.assign ({}, UXML.defDiffOpts, opts);
+
+  if (a instanceof UXMLDocument) a = a.root;
+  if (b instanceof UXMLDocument) b = b.root;
+
+  if (a.type !== UXML.nodeType.tag || b.type !== UXML.nodeType.tag) {
+    throw new TypeError();
+  }
+
+  const ops = [];
+
+  if (a.name !== b.name) {
+    ops.push ({op: "rename", path: [], name: b.name, old: a.name});
+  }
+
+  UXML.diffTags (a, b, [], ops, opts);
+  return ops;
+}},
+
+/* ===--------------------------------------------------------------------------
+// Find the node at the path */
+patchNode: {value: function (node, path, opts) {
+  for (let step of path) {
+    let sub = nullNode;
+
+    if (node.type === UXML.nodeType.tag) {
+      if (typeof step === "number") {
+        sub = node.nth (step);
+      } else {
+        sub = node.firstTag();
+
+        while (!sub.isNull() && UXML.diffKey (sub, opts) !== step) {
+          sub = sub.nextTag();
+        }
+      }
+    }
+
+    if (sub.isNull()) {
+      throw new RangeError("No node at path " + JSON.stringify (path));
+    }
+
+    node = sub;
+  }
+
+  return node;
+}},
+
+/* ===--------------------------------------------------------------------------
+// Put the node at the index */
+patchInsert: {value: function (node, sub, index) {
+  if (node.type !== UXML.nodeType.tag
+  || typeof index !== "number" || index < 0 || index > node.size) {
+    throw new RangeError("Invalid index " + index);
+  }
+
+  if (index === node.size) node.append (sub);
+  else node.insert (sub, node.nth (index));
+}},
+
+/* ===--------------------------------------------------------------------------
+// Apply the edit script to the node or document */
+patch: {value: function (node, script, opts=UXML.defDiffOpts) {
+  opts = Object.assign ({}, UXML.defDiffOpts, opts);
+
+  const root = (node instanceof UXMLDocument) ? node.root : node;
+
+  for (let op of script) {
+    const target = UXML.patchNode (root, op.path || [], opts);
+
+    switch (op.op) {
+    case "insert": {
+      /* The markup is parsed as is, whitespace included */
+      const frag = UXML.parse ("<_>" + op.node + "</_>"
+      , {preserveSpace: true});
+
+      if (frag.size !== 1) {
+        throw new TypeError("Expected a single node to insert");
+      }
+
+      UXML.patchInsert (target, frag.first().detach(), op.index);
+      break;
+    }
+    case "delete":
+      if (target === root) throw new RangeError("Cannot delete the root");
+      target.superNode.remove (target);
+      break;
+    case "move": {
+      if (target === root) throw new RangeError("Cannot move the root");
+      const sup = target.superNode;
+      UXML.patchInsert (sup, target.detach(), op.index);
+      break;
+    }
+    case "addAttr":
+    case "changeAttr":
+      if (target.type !== UXML.nodeType.tag) throw new TypeError();
+      target.attributes.set (op.name, String (op.value));
+      break;
+    case "removeAttr":
+      if (target.type !== UXML.nodeType.tag) throw new TypeError();
+      target.attributes.delete (op.name);
+      break;
+    case "text":
+      if (target.type === UXML.nodeType.tag) throw new TypeError();
+      if (target.type === UXML.nodeType.pi) target.data = String (op.value);
+      else target.value = String (op.value);
+      break;
+    case "rename":
+      if (!UXML.isTagName (op.name)) {
+        throw new TypeError("Invalid tag name " + JSON.stringify (op.name));
+      }
+
+      target.name = op.name;
+      break;
+    default:
+      throw new TypeError("Unknown operation " + JSON.stringify (op.op));
+    }
+  }
+
+  return node;
+}}
+
+});
+
+/* ===------------------------------- {U} --------------------------------=== */
@@ -0,0 +1,513 @@
+/* ================================= $ J $ =====================================
+// <uxml-schema.mjs>
+//
+// UXML schema validation.
+//
+// This plug-in adds `UXML.validate()` checking the tree against a compact
+// schema, which is a plain object (so it can be written in USON as well):
+//
+//   {
+//     root: "form",
+//     elements: {
+//       form: {
+//         attributes: {id: "id", title: {type: "string", required: true}},
+//         children: ["editbox*", {name: ["button", "link"], min: 1, max: 3}]
+//       },
+//       editbox: {attributes: {size: "int", next: "idref"}, text: true},
+//       button: {attributes: {action: ["submit", "reset"]}},
+//       link: {attributes: {href: {type: "regex", pattern: "https?:.+"}}}
+//     }
+//   }
+//
+// `root` lists the names allowed for the root element (any of
+// the declared ones by default). Each element declares:
+//
+//   * `attributes` with their types: "string", "int", "id", "idref",
+//     a list of values (or `{type: "enum", values}`), or a regular
+//     expression (or `{type: "regex", pattern}`, either one matching
+//     the whole value); the object form also takes `required: true`;
+//   * `children` in the order they must appear (unless `order` is false):
+//     names with the optional `?`, `*`, or `+` suffix, or objects
+//     with the `name` (or a list of alternative names), `min` (1),
+//     and `max` (1, `null` for no limit); `*` stands for any element;
+//   * whether non-whitespace `text` is allowed (it isn't by default).
+//
+// Namespace declarations and the `xml:` attributes are always allowed.
+//
+// Copyright garnetius.
+// -------------------------------------------------------------------------- */
+
+"use strict"
+
+import {
+  UXML,
+  UXMLDocument,
+  UXMLParser
+} from "./uxml.mjs";
+
+/* =============================================================================
+// Schema
+// -------------------------------------------------------------------------- */
+
+class UXMLSchema {
+get [Symbol.toStringTag]() {
+  return "UXMLSchema";
+}
+
+constructor (schema) {
+  const elements = new Map();
+
+  for (let name of Object.keys (schema.elements || {})) {
+    elements.set (name, UXMLSchema.element (name, schema.elements[name]));
+  }
+
+  const root = (schema.root === undefined || schema.root === null)
+  ? null : [].concat (schema.root);
+
+  Object.defineProperties (this, {
+    source: {value: schema},
+    elements: {value: elements},
+    root: {value: root}
+  });
+}
+
+/* ===--------------------------------------------------------------------------
+// Compiled schemas are reused */
+static compile (schema) {
+  if (schema instanceof UXMLSchema) {
+    return schema;
+  }
+
+  let compiled = UXMLSchema.cache.get (schema);
+
+  if (compiled === undefined) {
+    compiled = new UXMLSchema(schema);
+    UXMLSchema.cache.set (schema, compiled);
+  }
+
+  return compiled;
+}
+
+/* ===--------------------------------------------------------------------------
+// Compile the element declaration */
+static element (name, decl) {
+  const attrs = new Map();
+  const attributes = decl.attributes || {};
+
+  for (let attr of Object.keys (attributes)) {
+    attrs.set (attr, UXMLSchema.attribute (name, attr, attributes[attr]));
+  }
+
+  return {
+    attributes: attrs,
+    children: (decl.children || []).map ((item) => {
+      return UXMLSchema.particle (name, item);
+    }),
+    order: decl.order !== false,
+    text: !!decl.text
+  };
+}
+
+/* ===--------------------------------------------------------------------------
+// Compile the attribute type into `{type, required, check}`,
+// where `check` returns the complaint about the invalid value */
+static attribute (name, attr, decl) {
+  if (typeof decl === "string" || Array.isArray (decl)
+  || decl instanceof RegExp) {
+    decl = {type: decl};
+  }
+
+  let type = decl.type || "string";
+  let check;
+
+  if (Array.isArray (type)) {
+    decl = {type: "enum", values: type, required: decl.required};
+  } else if (type instanceof RegExp) {
+    decl = {type: "regex", pattern: type, required: decl.required};
+  }
+
+  switch (type = decl.type || "string") {
+  case "string":
+  case "idref":
+    check = (value) => null;
+    break;
+  case "int":
+    check = (value) => UXMLSchema.pattern.int.test (value)
+    ? null : "must be an integer";
+    break;
+  case "id":
+    check = (value) => (UXMLParser.invalidNameAt (value) === -1)
+    ? null : "must be a valid name";
+    break;
+  case "enum": {
+    const values = decl.values || [];
+
+    check = (value) => values.includes (value)
+    ? null : "must be one of " + values.join (", ");
+    break;
+  }
+  case "regex": {
+    /* Both the strings and the regular expressions match the whole value */
+    const regex = (decl.pattern instanceof RegExp)
+    ? new RegExp("^(?:" + decl.pattern.source + ")$"
+      , decl.pattern.flags.replace (/[gy]/g, ""))
+    : new RegExp("^(?:" + decl.pattern + ")$", "u");
+
+    check = (value) => regex.test (value) ? null : "must match " + regex;
+
+    break;
+  }
+  default:
+    throw new TypeError("Unknown type of attribute " + attr
+    + " in <" + name + '>: ' + type);
+  }
+
+  return {type: type, required: !!decl.required, check: check};
+}
+
+/* ===--------------------------------------------------------------------------
+// Compile the content model item into `{names, min, max}`,
+// where `names` is `null` for any element */
+static particle (name, item) {
+  if (typeof item === "string") {
+    const match = UXMLSchema.pattern.particle.exec (item);
+
+    if (match === null) {
+      throw new TypeError("Malformed child " + item + " of <" + name + '>');
+    }
+
+    const occurs = UXMLSchema.occurs[match[2] || ""];
+
+    return {
+      names: (match[1] === '*') ? null : [match[1]],
+      min: occurs[0],
+      max: occurs[1]
+    };
+  }
+
+  const min = (item.min === undefined) ? 1 : item.min;
+  let max = (item.max === undefined) ? Math.max (min, 1) : item.max;
+  if (max === null) max = Infinity;
+
+  if (!(min >= 0 && max >= min && max !== 0)) {
+    throw new TypeError("Invalid number of children "
+    + JSON.stringify (item.name) + " in <" + name + '>');
+  }
+
+  const names = [].concat (item.name);
+
+  return {
+    names: names.includes ('*') ? null : names,
+    min: min,
+    max: max
+  };
+}
+
+/* ===--------------------------------------------------------------------------
+// Describe the content model item missing from the tag */
+static expected (item) {
+  const label = (item.names === null) ? "any element"
+  : item.names.map ((name) => '<' + name + '>').join (" or ");
+
+  return "Expected " + label
+  + ((item.min > 1) ? " (at least " + item.min + ')' : "");
+}
+
+/* ===--------------------------------------------------------------------------
+// Check the node or the document, collecting the errors
+// as `{path, node, message}` objects */
+validate (node) {
+  const errors = [];
+
+  const state = {
+    errors: errors,
+    /* Declared identifiers and the references to check afterwards */
+    ids: new Set(),
+    refs: []
+  };
+
+  const root = (node instanceof UXMLDocument) ? node.root : node;
+
+  if (root.type !== UXML.nodeType.tag) {
+    throw new TypeError();
+  }
+
+  const path = '/' + root.name;
+
+  if (this.root !== null && !this.root.includes (root.name)) {
+    UXMLSchema.report (state, path, root, "Unexpected root element <"
+    + root.name + '>, expected ' + this.root.map ((name) => {
+      return '<' + name + '>';
+    }).join (" or "));
+  }
+
+  this.check (state, root, path);
+
+  for (let [value, path, node, attr] of state.refs) {
+    if (!state.ids.has (value)) {
+      UXMLSchema.report (state, path, node, "Attribute " + attr
+      + " refers to an unknown id " + value);
+    }
+  }
+
+  return errors;
+}
+
+static report (state, path, node, message) {
+  state.errors.push ({path: path, node: node, message: message});
+}
+
+/* ===--------------------------------------------------------------------------
+// Check the tag and everything inside of it */
+check (state, node, path) {
+  const decl = this.elements.get (node.name);
+
+  if (decl === undefined) {
+    UXMLSchema.report (state, path, node, "Unknown element <"
+    + node.name + '>');
+    return;
+  }
+
+  this.checkAttributes (state, node, path, decl);
+
+  /* Sub nodes are numbered among the ones of the same kind */
+  const counts = new Map();
+  const tags = [];
+
+  for (let sub of node) {
+    if (sub.type === UXML.nodeType.tag) {
+      const num = (counts.get (sub.name) || 0) + 1;
+      counts.set (sub.name, num);
+      tags.push ([sub, path + '/' + sub.name + '[' + num + ']']);
+    } else if (sub.type === UXML.nodeType.text
+    || sub.type === UXML.nodeType.cdata) {
+      const num = (counts.get ("text()") || 0) + 1;
+      counts.set ("text()", num);
+
+      if (!decl.text && sub.value.trim().length !== 0) {
+        UXMLSchema.report (state, path + "/text()[" + num + ']', sub
+        , "Text is not allowed in <" + node.name + '>');
+      }
+    }
+  }
+
+  /* Unknown tags are reported on their own */
+  const known = tags.filter (([sub]) => this.elements.has (sub.name));
+
+  if (decl.order) {
+    this.checkSequence (state, node, path, decl.children, known);
+  } else {
+    this.checkSet (state, node, path, decl.children, known);
+  }
+
+  for (let [sub, subPath] of tags) {
+    this.check (state, sub, subPath);
+  }
+}
+
+checkAttributes (state, node, path, decl) {
+  for (let [attr, value] of node.attributes) {
+    if (attr === "xmlns" || attr.startsWith ("xmlns:")
+    || attr.startsWith ("xml:")) {
+      continue;
+    }
+
+    const type = decl.attributes.get (attr);
+    const attrPath = path + "/@" + attr;
+
+    if (type === undefined) {
+      UXMLSchema.report (state, attrPath, node, "Unknown attribute "
+      + attr + " of <" + node.name + '>');
+      continue;
+    }
+
+    const complaint = type.check (value);
+
+    if (complaint !== null) {
+      UXMLSchema.report (state, attrPath, node, "Attribute " + attr
+      + ' ' + complaint + ", found " + JSON.stringify (value));
+    } else if (type.type === "id") {
+      if (state.ids.has (value)) {
+        UXMLSchema.report (state, attrPath, node, "Duplicate id " + value);
+      }
+
+      state.ids.add (value);
+    } else if (type.type === "idref") {
+      state.refs.push ([value, attrPath, node, attr]);
+    }
+  }
+
+  for (let [attr, type] of decl.attributes) {
+    if (type.required && node.attributes.get (attr) === undefined) {
+      UXMLSchema.report (state, path, node, "Missing attribute " + attr
+      + " of <" + node.name + '>');
+    }
+  }
+}
+
+/* ===--------------------------------------------------------------------------
+// The children must follow the items in order. When they don't,
+// each item takes as many children as it can, and the ones matching
+// no item further on are reported without disturbing the rest
+// of the sequence. */
+checkSequence (state, node, path, items, tags) {
+  const matches = UXMLSchema.matches;
+
+  if (UXMLSchema.fits (items, tags)) {
+    return;
+  }
+
+  const missing = (item, sub) => {
+    UXMLSchema.report (state, path, node, UXMLSchema.expected (item)
+    + ((sub !== null) ? " before <" + sub.name + '>' : "")
+    + " in <" + node.name + '>');
+  };
+
+  let idx = 0;
+  let count = 0;
+
+  for (let [sub, subPath] of tags) {
+    let next = idx;
+
+    while (next !== items.length && !matches (items[next], sub.name)) ++next;
+
+    if (next === idx && next !== items.length && count === items[idx].max) {
+      next = idx + 1;
+      while (next !== items.length && !matches (items[next], sub.name)) ++next;
+    }
+
+    if (next === items.length) {
+      UXMLSchema.report (state, subPath, sub, "Unexpected <" + sub.name
+      + "> in <" + node.name + '>');
+      continue;
+    }
+
+    while (idx !== next) {
+      if (count < items[idx].min) missing (items[idx], sub);
+      ++idx;
+      count = 0;
+    }
+
+    ++count;
+  }
+
+  for (; idx !== items.length; ++idx, count = 0) {
+    if (count < items[idx].min) missing (items[idx], null);
+  }
+}
+
+/* ===--------------------------------------------------------------------------
+// See if the children can follow the items in order at all. The items
+// may have to leave some of the children to the ones after them
+// (like `b*` followed by `b`), so all the ways to match are tracked
+// at once, as the `[item, count]` pairs the sequence may have reached.
+// The counts past the minimum of the unbounded items are all the same. */
+static fits (items, tags) {
+  const add = (states, idx, count) => {
+    while (true) {
+      const item = items[idx];
+      if (item !== undefined && item.max === Infinity) {
+        count = Math.min (count, item.min);
+      }
+
+      const key = idx + ':' + count;
+      if (states.has (key)) return;
+      states.set (key, [idx, count]);
+
+      /* The item may be over, and the next one may start */
+      if (item === undefined || count < item.min) return;
+      ++idx;
+      count = 0;
+    }
+  };
+
+  let states = new Map();
+  add (states, 0, 0);
+
+  for (let [sub] of tags) {
+    const next = new Map();
+
+    for (let [idx, count] of states.values()) {
+      const item = items[idx];
+
+      if (item !== undefined && count < item.max
+      && UXMLSchema.matches (item, sub.name)) {
+        add (next, idx, count + 1);
+      }
+    }
+
+    if (next.size === 0) {
+      return false;
+    }
+
+    states = next;
+  }
+
+  return states.has (items.length + ":0");
+}
+
+static matches (item, name) {
+  return item.names === null || item.names.includes (name);
+}
+
+/* ===--------------------------------------------------------------------------
+// The children may come in any order, only their numbers are checked */
+checkSet (state, node, path, items, tags) {
+  const counts = items.map (() => 0);
+
+  for (let [sub, subPath] of tags) {
+    const idx = items.findIndex ((item, idx) => counts[idx] !== item.max
+    && (item.names === null || item.names.includes (sub.name)));
+
+    if (idx === -1) {
+      UXMLSchema.report (state, subPath, sub, "Unexpected <" + sub.name
+      + "> in <" + node.name + '>');
+    } else {
+      ++counts[idx];
+    }
+  }
+
+  items.forEach ((item, idx) => {
+    if (counts[idx] < item.min) {
+      UXMLSchema.report (state, path, node, UXMLSchema.expected (item)
+      + " in <" + node.name + '>');
+    }
+  });
+}}
+
+Object.defineProperties (UXMLSchema, {
+  cache: {value: new WeakMap()},
+  occurs: {value: {
+    "":  [1, 1],
+    "?": [0, 1],
+    "*": [0, Infinity],
+    "+": [1, Infinity]
+  }},
+  pattern: {value: {
+    particle: /^([^?*+]+|\*)([?*+])?$/,
+    int: /^[+-]?[0-9]+$/
+  }}
+});
+
+/* =============================================================================
+// Add static functions
+// -------------------------------------------------------------------------- */
+
+Object.defineProperties (UXML, {
+
+/* ===--------------------------------------------------------------------------
+// Validate the node or document against the schema,
+// returning the list of errors (empty if there are none) */
+validate: {value: function (node, schema) {
+  return UXMLSchema.compile (schema).validate (node);
+}}
+
+});
+
+/* ===--------------------------------------------------------------------------
+// Exports */
+export {
+  UXMLSchema
+}
+
+/* ===------------------------------- {U} --------------------------------=== */
@@ -0,0 +1,617 @@
+/* ================================= $ J $ =====================================
+// <uxml-select.mjs>
+//
+// UXML CSS selector engine.
+//
+// This plug-in adds `query()`, `queryAll()` and `matches()` methods
+// to the XML nodes and documents. The supported subset of CSS:
+//
+//   * type (`item`, `*`) and namespaced type (`ui|button`, `*|button`,
+//     `|button`) selectors, `#id` and `.class` selectors;
+//   * names qualified with the namespace URI: `{urn:ui}button`;
+//   * attribute selectors: `[a]`, `[a=v]`, `[a^=v]`, `[a$=v]`,
+//     `[a*=v]`, `[a~=v]`, `[a|=v]`;
+//   * descendant, child (`>`), adjacent (`+`) and general (`~`)
+//     sibling combinators, and selector lists (`a, b`);
+//   * `:first-child`, `:last-child`, `:only-child`, `:nth-child(an+b)`,
+//     `:nth-last-child(an+b)`, `:empty`, `:root` and `:not()`.
+//
+// Copyright garnetius.
+// -------------------------------------------------------------------------- */
+
+"use strict"
+
+import {
+  UXML,
+  UXMLNode,
+  UXMLDocument,
+  nullNode
+} from "./uxml.mjs";
+
+/* =============================================================================
+// Selector
+// -------------------------------------------------------------------------- */
+
+class UXMLSelector {
+get [Symbol.toStringTag]() {
+  return "UXMLSelector";
+}
+
+constructor (source, list=undefined) {
+  Object.defineProperties (this, {
+    source: {value: source},
+    /* Complex selectors as lists of compounds, each of them with
+    // the combinator connecting it to the previous compound */
+    list: {value: list || new UXMLSelectorParser(source).parse()}
+  });
+}
+
+/* ===--------------------------------------------------------------------------
+// Compiled selectors are reused */
+static compile (source) {
+  if (source instanceof UXMLSelector) {
+    return source;
+  }
+
+  let sel = UXMLSelector.cache.get (source);
+
+  if (sel === undefined) {
+    sel = new UXMLSelector(source);
+
+    if (UXMLSelector.cache.size === 256) {
+      UXMLSelector.cache.clear();
+    }
+
+    UXMLSelector.cache.set (source, sel);
+  }
+
+  return sel;
+}
+
+/* ===--------------------------------------------------------------------------
+// See if the tag matches any of the selectors in the list */
+match (node) {
+  if (node.type !== UXML.nodeType.tag) {
+    return false;
+  }
+
+  for (let complex of this.list) {
+    if (UXMLSelector.matchComplex (complex, complex.length - 1, node)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/* ===--------------------------------------------------------------------------
+// Match right to left */
+static matchComplex (complex, idx, node) {
+  const compound = complex[idx];
+
+  for (let test of compound.tests) {
+    if (!test (node)) return false;
+  }
+
+  if (idx === 0) {
+    return true;
+  }
+
+  let iter = node;
+
+  switch (compound.combinator) {
+  case ' ':
+    while ((iter = iter.superNode) !== null) {
+      if (UXMLSelector.matchComplex (complex, idx - 1, iter)) return true;
+    }
+
+    return false;
+  case '>':
+    iter = iter.superNode;
+    return iter !== null && UXMLSelector.matchComplex (complex, idx - 1, iter);
+  case '+':
+    iter = iter.prevTag();
+    return !iter.isNull() && UXMLSelector.matchComplex (complex, idx - 1, iter);
+  case '~':
+    while (!(iter = iter.prevTag()).isNull()) {
+      if (UXMLSelector.matchComplex (complex, idx - 1, iter)) return true;
+    }
+
+    return false;
+  }
+}
+
+/* ===--------------------------------------------------------------------------
+// Depth-first walk over the sub tags in document order */
+*select (node) {
+  let iter = node.firstNode;
+
+  while (iter !== null) {
+    if (iter.type === UXML.nodeType.tag) {
+      if (this.match (iter)) {
+        yield iter;
+      }
+
+      if (iter.firstNode !== null) {
+        iter = iter.firstNode;
+        continue;
+      }
+    }
+
+    while (iter.nextNode === null) {
+      iter = iter.superNode;
+      if (iter === node) return;
+    }
+
+    iter = iter.nextNode;
+  }
+}}
+
+Object.defineProperties (UXMLSelector, {
+  cache: {value: new Map()}
+});
+
+/* =============================================================================
+// Selector parser
+// -------------------------------------------------------------------------- */
+
+class UXMLSelectorParser {
+get [Symbol.toStringTag]() {
+  return "UXMLSelectorParser";
+}
+
+constructor (source) {
+  this.source = source;
+  this.pos = 0;
+}
+
+fail (reason) {
+  throw new SyntaxError(reason + " at position " + this.pos
+  + " of selector " + JSON.stringify (this.source));
+}
+
+/* ===--------------------------------------------------------------------------
+// Consume the token matching the sticky regular expression */
+eat (regex) {
+  regex.lastIndex = this.pos;
+  const match = regex.exec (this.source);
+
+  if (match !== null) {
+    this.pos = regex.lastIndex;
+  }
+
+  return match;
+}
+
+ident (what) {
+  const match = this.eat (UXMLSelectorParser.pattern.ident);
+
+  if (match === null) {
+    this.fail ("Expected " + what);
+  }
+
+  return match[0].replace (UXMLSelectorParser.pattern.unescape, "$1");
+}
+
+/* ===--------------------------------------------------------------------------
+// Selector list */
+parse (nested=false) {
+  const list = [];
+
+  while (true) {
+    list.push (this.parseComplex());
+    this.eat (UXMLSelectorParser.pattern.space);
+
+    if (this.pos === this.source.length) {
+      if (nested) this.fail ("Expected \")\"");
+      return list;
+    }
+
+    if (nested && this.source[this.pos] === ')') {
+      return list;
+    }
+
+    if (this.source[this.pos] !== ',') {
+      this.fail ("Unexpected " + JSON.stringify (this.source[this.pos]));
+    }
+
+    ++this.pos;
+  }
+}
+
+/* ===--------------------------------------------------------------------------
+// Compounds separated by combinators */
+parseComplex() {
+  const complex = [];
+  let combinator = ' ';
+
+  this.eat (UXMLSelectorParser.pattern.space);
+
+  while (true) {
+    const compound = this.parseCompound();
+    compound.combinator = combinator;
+    complex.push (compound);
+
+    const match = this.eat (UXMLSelectorParser.pattern.combinator);
+
+    if (match === null) {
+      return complex;
+    }
+
+    combinator = match[1] || ' ';
+
+    /* Trailing whitespace before a comma or the end */
+    const next = this.source[this.pos];
+
+    if (combinator === ' ' && (next === undefined
+    || next === ',' || next === ')')) {
+      return complex;
+    }
+  }
+}
+
+/* ===--------------------------------------------------------------------------
+// Simple selectors not separated by anything */
+parseCompound() {
+  const tests = [];
+  const start = this.pos;
+  const chr = this.source[this.pos];
+
+  /* Type selector */
+  if (chr === '*' || chr === '|' || chr === '{'
+  || UXMLSelectorParser.isIdent (chr)) {
+    const test = this.parseName();
+    tests.push ((node) => test (node.name, () => node.namespaceURI));
+  }
+
+  while (this.pos !== this.source.length) {
+    const chr = this.source[this.pos];
+
+    if (chr === '#') {
+      ++this.pos;
+      const id = this.ident ("identifier");
+      tests.push ((node) => node.attributes.get ("id") === id);
+    } else if (chr === '.') {
+      ++this.pos;
+      const cls = this.ident ("class name");
+      tests.push ((node) => UXMLSelectorParser.hasWord (
+        node.attributes.get ("class"), cls));
+    } else if (chr === '[') {
+      ++this.pos;
+      tests.push (this.parseAttr());
+    } else if (chr === ':') {
+      ++this.pos;
+      tests.push (this.parsePseudo());
+    } else {
+      break;
+    }
+  }
+
+  if (this.pos === start) {
+    this.fail ("Expected selector");
+  }
+
+  return {combinator: ' ', tests: tests};
+}
+
+/* ===--------------------------------------------------------------------------
+// Possibly namespaced name: `[prefix|]local`, either may be `*`,
+// or `{uri}local`; returns the name test */
+parseName() {
+  let prefix = null;
+  let local;
+
+  if (this.source[this.pos] === '{') {
+    const end = this.source.indexOf ('}', this.pos);
+
+    if (end === -1) {
+      this.fail ("Expected \"}\"");
+    }
+
+    const uri = this.source.substring (this.pos + 1, end) || null;
+    this.pos = end + 1;
+
+    if (this.source[this.pos] === '*') {
+      ++this.pos;
+      local = '*';
+    } else {
+      local = this.ident ("name");
+    }
+
+    return UXMLSelectorParser.uriTest (uri, local);
+  }
+
+  if (this.source[this.pos] === '|') {
+    /* No prefix at all */
+    prefix = "";
+  } else if (this.source[this.pos] === '*') {
+    ++this.pos;
+    local = '*';
+  } else {
+    local = this.ident ("name");
+  }
+
+  if (this.source[this.pos] === '|' && this.source[this.pos + 1] !== '=') {
+    ++this.pos;
+
+    if (prefix === null) {
+      prefix = local;
+    }
+
+    if (this.source[this.pos] === '*') {
+      ++this.pos;
+      local = '*';
+    } else {
+      local = this.ident ("name");
+    }
+  }
+
+  return UXMLSelectorParser.nameTest (prefix, local);
+}
+
+/* ===--------------------------------------------------------------------------
+// `[attr]`, `[attr op value]` */
+parseAttr() {
+  this.eat (UXMLSelectorParser.pattern.space);
+  const nameTest = this.parseName();
+  const values = (node) => {
+    const ret = [];
+
+    for (let [key, value] of node.attributes) {
+      if (nameTest (key, () => node.attributeNamespaceURI (key))) {
+        ret.push (value);
+      }
+    }
+
+    return ret;
+  };
+
+  this.eat (UXMLSelectorParser.pattern.space);
+  const op = this.eat (UXMLSelectorParser.pattern.operator);
+
+  if (op === null) {
+    if (this.source[this.pos++] !== ']') this.fail ("Expected \"]\"");
+    return (node) => values(node).length !== 0;
+  }
+
+  this.eat (UXMLSelectorParser.pattern.space);
+  let str = this.eat (UXMLSelectorParser.pattern.string);
+
+  if (str !== null) {
+    str = str[0].slice (1, -1).replace (UXMLSelectorParser.pattern.unescape
+    , "$1");
+  } else {
+    str = this.ident ("attribute value");
+  }
+
+  this.eat (UXMLSelectorParser.pattern.space);
+  if (this.source[this.pos++] !== ']') this.fail ("Expected \"]\"");
+
+  let cmp;
+
+  switch (op[0]) {
+  case '=':  cmp = (value) => value === str; break;
+  case '^=': cmp = (value) => str !== "" && value.startsWith (str); break;
+  case '$=': cmp = (value) => str !== "" && value.endsWith (str); break;
+  case '*=': cmp = (value) => str !== "" && value.includes (str); break;
+  case '~=': cmp = (value) => UXMLSelectorParser.hasWord (value, str); break;
+  case '|=': cmp = (value) => value === str || value.startsWith (str + '-');
+  }
+
+  return (node) => values(node).some (cmp);
+}
+
+/* ===--------------------------------------------------------------------------
+// Pseudo-classes */
+parsePseudo() {
+  const name = this.ident ("pseudo-class");
+
+  const index = (node, back) => {
+    let idx = 1;
+    while (!(node = back ? node.nextTag() : node.prevTag()).isNull()) ++idx;
+    return idx;
+  };
+
+  switch (name) {
+  case "first-child":
+    return (node) => node.prevTag().isNull();
+  case "last-child":
+    return (node) => node.nextTag().isNull();
+  case "only-child":
+    return (node) => node.prevTag().isNull() && node.nextTag().isNull();
+  case "empty":
+    return (node) => {
+      for (let sub of node) {
+        if (sub.type === UXML.nodeType.tag || sub.type === UXML.nodeType.text
+        || sub.type === UXML.nodeType.cdata) return false;
+      }
+
+      return true;
+    };
+  case "root":
+    return (node) => node.superNode === null;
+  }
+
+  if (this.source[this.pos++] !== '(') {
+    --this.pos;
+    this.fail ("Unknown pseudo-class :" + name);
+  }
+
+  this.eat (UXMLSelectorParser.pattern.space);
+
+  let test;
+
+  switch (name) {
+  case "not": {
+    const sel = new UXMLSelector(this.source, this.parse (true));
+    test = (node) => !sel.match (node);
+    break;
+  }
+  case "nth-child":
+  case "nth-last-child": {
+    const [a, b] = this.parseNth();
+    const back = name === "nth-last-child";
+
+    test = (node) => {
+      const idx = index (node, back);
+      if (a === 0) return idx === b;
+      const n = (idx - b) / a;
+      return n >= 0 && Number.isInteger (n);
+    };
+
+    break;
+  }
+  default:
+    this.fail ("Unknown pseudo-class :" + name);
+  }
+
+  this.eat (UXMLSelectorParser.pattern.space);
+  if (this.source[this.pos++] !== ')') this.fail ("Expected \")\"");
+
+  return test;
+}
+
+/* ===--------------------------------------------------------------------------
+// `an+b`, `odd`, `even` */
+parseNth() {
+  const match = this.eat (UXMLSelectorParser.pattern.nth);
+
+  if (match === null) {
+    this.fail ("Expected an+b");
+  }
+
+  if (match[1] !== undefined) {
+    return (match[1].toLowerCase() === "odd") ? [2, 1] : [2, 0];
+  }
+
+  if (match[5] !== undefined) {
+    return [0, parseInt (match[5], 10)];
+  }
+
+  let a = match[2];
+  a = (a === "" || a === "+") ? 1 : (a === '-') ? -1 : parseInt (a, 10);
+  const b = (match[4] !== undefined)
+  ? parseInt (match[3] + match[4], 10) : 0;
+
+  return [a, b];
+}
+
+/* ===--------------------------------------------------------------------------
+// Helpers */
+static isIdent (chr) {
+  return chr !== undefined && (chr === '\\'
+  || UXMLSelectorParser.pattern.identStart.test (chr));
+}
+
+static hasWord (str, word) {
+  if (str === undefined || word === "") return false;
+  return str.split (UXML.pattern.wspace).includes (word);
+}
+
+/* ===--------------------------------------------------------------------------
+// Compare `prefix:local` tag name; `null` prefix matches
+// any prefix or none, empty prefix matches only none */
+static nameTest (prefix, local) {
+  if (prefix === null) {
+    if (local === '*') return () => true;
+    return (name) => name === local || name.endsWith (':' + local);
+  }
+
+  if (prefix === "") {
+    if (local === '*') return (name) => name.indexOf (':') === -1;
+    return (name) => name === local;
+  }
+
+  if (prefix === '*') {
+    return UXMLSelectorParser.nameTest (null, local);
+  }
+
+  if (local === '*') {
+    return (name) => name.startsWith (prefix + ':');
+  }
+
+  const qname = prefix + ':' + local;
+  return (name) => name === qname;
+}
+
+/* ===--------------------------------------------------------------------------
+// Compare the namespace URI and the local name,
+// the URI is resolved only when the local name matches */
+static uriTest (uri, local) {
+  return (name, uriOf) => {
+    if (local !== '*' && name.substring (name.indexOf (':') + 1) !== local) {
+      return false;
+    }
+
+    return uriOf() === uri;
+  };
+}}
+
+Object.defineProperties (UXMLSelectorParser, {
+  pattern: {value: {
+    space: /[\t\n\r\x20]*/y,
+    combinator: /[\t\n\r\x20]*([>+~])[\t\n\r\x20]*|[\t\n\r\x20]+/y,
+    ident: /(?:[\w\-\u{80}-\u{10FFFF}]|\\.)+/uy,
+    identStart: /[\w\-\u{80}-\u{10FFFF}]/u,
+    unescape: /\\(.)/gu,
+    operator: /[\^$*~|]?=/y,
+    string: /"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/y,
+    nth: /(odd|even)|([+-]?\d*)n[\t\n\r\x20]*(?:([+-])[\t\n\r\x20]*(\d+))?|([+-]?\d+)/iy
+  }}
+});
+
+/* =============================================================================
+// Add node methods
+// -------------------------------------------------------------------------- */
+
+Object.defineProperties (UXMLNode.prototype, {
+
+/* ===--------------------------------------------------------------------------
+// The first matching sub tag or `nullNode` */
+query: {value: function (selector) {
+  for (let node of UXMLSelector.compile (selector).select (this)) {
+    return node;
+  }
+
+  return nullNode;
+}},
+
+/* ===--------------------------------------------------------------------------
+// All matching sub tags in document order */
+queryAll: {value: function (selector) {
+  return Array.from (UXMLSelector.compile (selector).select (this));
+}},
+
+/* ===--------------------------------------------------------------------------
+// See if this tag matches */
+matches: {value: function (selector) {
+  return UXMLSelector.compile (selector).match (this);
+}}
+
+});
+
+/* ===--------------------------------------------------------------------------
+// Documents are queried starting with (and including) the root */
+Object.defineProperties (UXMLDocument.prototype, {
+
+query: {value: function (selector) {
+  const sel = UXMLSelector.compile (selector);
+  return sel.match (this.root) ? this.root : this.root.query (sel);
+}},
+
+queryAll: {value: function (selector) {
+  const sel = UXMLSelector.compile (selector);
+  const ret = this.root.queryAll (sel);
+  if (sel.match (this.root)) ret.unshift (this.root);
+  return ret;
+}}
+
+});
+
+/* ===--------------------------------------------------------------------------
+// Exports */
+export {
+  UXMLSelector
+}
+
+/* ===------------------------------- {U} --------------------------------=== */
@@ -0,0 +1,1124 @@
+/* ================================= $ J $ =====================================
+// <uxml-xpath.mjs>
+//
+// UXML XPath evaluator.
+//
+// This plug-in adds `UXML.evaluate()` implementing a subset
+// of XPath 1.0 over the node tree:
+//
+//   * axes: `child`, `descendant`, `descendant-or-self`, `self`,
+//     `parent`, `ancestor`, `ancestor-or-self`, `following-sibling`,
+//     `preceding-sibling`, `following`, `preceding`, `attribute`;
+//   * node tests: names, `*`, `prefix:*`, `text()`, `comment()`, `node()`,
+//     `processing-instruction()` with an optional target literal,
+//     and names qualified with the namespace URI: `{uri}local`, `{uri}*`;
+//   * abbreviations: `//`, `.`, `..`, `@name`;
+//   * predicates, unions, arithmetic, comparison and boolean operators;
+//   * core functions operating on node sets, strings,
+//     numbers and booleans (no variables and no `id()`).
+//
+// The result is an array of nodes in document order, or a string,
+// a number, or a boolean value. Attributes are represented with
+// `UXMLAttribute` objects.
+//
+// Copyright garnetius.
+// -------------------------------------------------------------------------- */
+
+"use strict"
+
+import {
+  UXML,
+  UXMLNode,
+  UXMLDocument
+} from "./uxml.mjs";
+
+/* =============================================================================
+// Attribute node
+// -------------------------------------------------------------------------- */
+
+class UXMLAttribute {
+get [Symbol.toStringTag]() {
+  return "UXMLAttribute";
+}
+
+constructor (owner, name) {
+  Object.defineProperties (this, {
+    name: {value: name},
+    superNode: {value: owner}
+  });
+}
+
+get value() {
+  return this.superNode.attributes.get (this.name);
+}
+
+get prefix() {
+  const sep = this.name.indexOf (':');
+  return (sep === -1) ? null : this.name.substring (0, sep);
+}
+
+get localName() {
+  return this.name.substring (this.name.indexOf (':') + 1);
+}
+
+get namespaceURI() {
+  return this.superNode.attributeNamespaceURI (this.name);
+}
+
+isNull() {return false}
+
+/* ===--------------------------------------------------------------------------
+// The same attribute is always represented with the same object */
+static of (owner, name) {
+  let attrs = UXMLAttribute.cache.get (owner);
+
+  if (attrs === undefined) {
+    attrs = new Map();
+    UXMLAttribute.cache.set (owner, attrs);
+  }
+
+  let attr = attrs.get (name);
+
+  if (attr === undefined) {
+    attr = new UXMLAttribute(owner, name);
+    attrs.set (name, attr);
+  }
+
+  return attr;
+}}
+
+Object.defineProperties (UXMLAttribute, {
+  cache: {value: new WeakMap()}
+});
+
+/* =============================================================================
+// Expression parser
+// -------------------------------------------------------------------------- */
+
+class UXMLXPathParser {
+get [Symbol.toStringTag]() {
+  return "UXMLXPathParser";
+}
+
+constructor (source) {
+  this.source = source;
+  this.tokens = this.tokenize();
+  this.idx = 0;
+}
+
+fail (reason, token=this.tokens[this.idx]) {
+  throw new SyntaxError(reason + " at position "
+  + (token ? token.pos : this.source.length)
+  + " of expression " + JSON.stringify (this.source));
+}
+
+/* ===--------------------------------------------------------------------------
+// Split the expression into tokens, telling operator names
+// and `*` from the name tests by the preceding token */
+tokenize() {
+  const src = this.source;
+  const regex = UXMLXPathParser.pattern.token;
+  const tokens = [];
+
+  regex.lastIndex = 0;
+
+  while (true) {
+    const pos = regex.lastIndex;
+    const match = regex.exec (src);
+
+    if (match === null) {
+      if (pos !== src.length) {
+        this.fail ("Unexpected " + JSON.stringify (src[pos]), {pos: pos});
+      }
+
+      return tokens;
+    }
+
+    const [, num, str, name, op] = match;
+    const prev = tokens[tokens.length - 1];
+    const operand = prev !== undefined && (prev.type === "num"
+    || prev.type === "str" || prev.type === "name"
+    || (prev.type === "op" && (prev.value === ')' || prev.value === ']'
+    || prev.value === '.' || prev.value === "..")));
+
+    if (num !== undefined) {
+      tokens.push ({type: "num", value: parseFloat (num), pos: match.index});
+    } else if (str !== undefined) {
+      tokens.push ({type: "str", value: str.slice (1, -1), pos: match.index});
+    } else if (name !== undefined) {
+      if (operand && (name === '*'
+      || UXMLXPathParser.operators.includes (name))) {
+        tokens.push ({type: "op", value: name, pos: match.index});
+      } else {
+        tokens.push ({type: "name", value: name, pos: match.index});
+      }
+    } else {
+      tokens.push ({type: "op", value: op, pos: match.index});
+    }
+  }
+}
+
+peek (value, offset=0) {
+  const token = this.tokens[this.idx + offset];
+  return token !== undefined && token.type === "op" && token.value === value;
+}
+
+accept (value) {
+  if (this.peek (value)) {
+    ++this.idx;
+    return true;
+  }
+
+  return false;
+}
+
+expect (value) {
+  if (!this.accept (value)) {
+    this.fail ("Expected " + JSON.stringify (value));
+  }
+}
+
+parse() {
+  const expr = this.parseBinary (0);
+
+  if (this.idx !== this.tokens.length) {
+    this.fail ("Unexpected token");
+  }
+
+  return expr;
+}
+
+/* ===--------------------------------------------------------------------------
+// Operators by precedence, from the lowest */
+parseBinary (level) {
+  const ops = UXMLXPathParser.precedence[level];
+
+  if (ops === undefined) {
+    return this.parseUnary();
+  }
+
+  let lhs = this.parseBinary (level + 1);
+
+  while (true) {
+    const token = this.tokens[this.idx];
+
+    if (token === undefined || token.type !== "op"
+    || !ops.includes (token.value)) {
+      return lhs;
+    }
+
+    ++this.idx;
+    lhs = {type: "bin", op: token.value, lhs: lhs
+    , rhs: this.parseBinary (level + 1)};
+  }
+}
+
+parseUnary() {
+  if (this.accept ('-')) {
+    return {type: "neg", expr: this.parseUnary()};
+  }
+
+  return this.parseUnion();
+}
+
+parseUnion() {
+  let lhs = this.parsePath();
+
+  while (this.accept ('|')) {
+    lhs = {type: "bin", op: '|', lhs: lhs, rhs: this.parsePath()};
+  }
+
+  return lhs;
+}
+
+/* ===--------------------------------------------------------------------------
+// Location path, or filter expression optionally followed by one */
+parsePath() {
+  const token = this.tokens[this.idx];
+
+  if (token === undefined) {
+    this.fail ("Unexpected end of expression");
+  }
+
+  const primary = token.type === "num" || token.type === "str"
+  || this.peek ('(') || (token.type === "name" && this.peek ('(', 1)
+  && !UXMLXPathParser.nodeTypes.includes (token.value));
+
+  if (!primary) {
+    return this.parseLocation();
+  }
+
+  const filter = this.parsePrimary();
+  const preds = this.parsePredicates();
+
+  if (!this.peek ('/') && !this.peek ("//")) {
+    return (preds.length === 0) ? filter
+    : {type: "path", filter: filter, preds: preds, steps: []};
+  }
+
+  const path = this.parseLocation (true);
+  path.filter = filter;
+  path.preds = preds;
+
+  return path;
+}
+
+parsePrimary() {
+  const token = this.tokens[this.idx++];
+
+  if (token.type === "num") return {type: "num", value: token.value};
+  if (token.type === "str") return {type: "str", value: token.value};
+
+  if (token.type === "op") {
+    const expr = this.parseBinary (0);
+    this.expect (')');
+    return expr;
+  }
+
+  /* Function call */
+  const func = UXMLXPathParser.functions[token.value];
+
+  if (func === undefined) {
+    this.fail ("Unknown function " + token.value + "()", token);
+  }
+
+  ++this.idx;
+  const args = [];
+
+  if (!this.accept (')')) {
+    do args.push (this.parseBinary (0)); while (this.accept (','));
+    this.expect (')');
+  }
+
+  if (args.length < func.min || args.length > func.max) {
+    this.fail ("Wrong number of arguments to " + token.value + "()", token);
+  }
+
+  return {type: "fn", name: token.value, args: args};
+}
+
+parsePredicates() {
+  const preds = [];
+
+  while (this.accept ('[')) {
+    preds.push (this.parseBinary (0));
+    this.expect (']');
+  }
+
+  return preds;
+}
+
+/* ===--------------------------------------------------------------------------
+// `/step/step`, `//step`, `step/step` */
+parseLocation (continued=false) {
+  const path = {type: "path", absolute: false, filter: null
+  , preds: [], steps: []};
+  const descend = {axis: "descendant-or-self", test: {kind: "node"}, preds: []};
+
+  if (!continued) {
+    if (this.accept ('/')) {
+      path.absolute = true;
+
+      /* Lone `/` is the document itself */
+      if (!this.startsStep()) return path;
+    } else if (this.accept ("//")) {
+      path.absolute = true;
+      path.steps.push (descend);
+    }
+
+    path.steps.push (this.parseStep());
+  }
+
+  while (true) {
+    if (this.accept ("//")) {
+      path.steps.push (descend);
+    } else if (!this.accept ('/')) {
+      return path;
+    }
+
+    path.steps.push (this.parseStep());
+  }
+}
+
+startsStep() {
+  const token = this.tokens[this.idx];
+
+  return token !== undefined && (token.type === "name"
+  || this.peek ('@') || this.peek ('.') || this.peek (".."));
+}
+
+parseStep() {
+  if (this.accept ('.')) {
+    return {axis: "self", test: {kind: "node"}, preds: []};
+  }
+
+  if (this.accept ("..")) {
+    return {axis: "parent", test: {kind: "node"}, preds: []};
+  }
+
+  let axis = "child";
+
+  if (this.accept ('@')) {
+    axis = "attribute";
+  } else if (this.peek ("::", 1)) {
+    axis = this.tokens[this.idx].value;
+
+    if (!UXMLXPathParser.axes.includes (axis)) {
+      this.fail ("Unknown axis " + axis);
+    }
+
+    this.idx += 2;
+  }
+
+  const token = this.tokens[this.idx++];
+
+  if (token === undefined || token.type !== "name") {
+    this.fail ("Expected node test", token);
+  }
+
+  let test;
+
+  if (this.peek ('(') && UXMLXPathParser.nodeTypes.includes (token.value)) {
+    ++this.idx;
+    test = {kind: token.value};
+
+    if (token.value === "processing-instruction" && !this.peek (')')) {
+      const target = this.tokens[this.idx++];
+
+      if (target === undefined || target.type !== "str") {
+        this.fail ("Expected literal", target);
+      }
+
+      test.target = target.value;
+    }
+
+    this.expect (')');
+  } else if (token.value === '*') {
+    test = {kind: "name", prefix: null, local: '*'};
+  } else if (token.value[0] === '{') {
+    const sep = token.value.lastIndexOf ('}');
+
+    test = {kind: "name", uri: token.value.substring (1, sep) || null
+    , local: token.value.substring (sep + 1)};
+  } else {
+    const sep = token.value.indexOf (':');
+
+    test = (sep === -1)
+    ? {kind: "name", prefix: null, local: token.value}
+    : {kind: "name", prefix: token.value.substring (0, sep)
+      , local: token.value.substring (sep + 1)};
+  }
+
+  return {axis: axis, test: test, preds: this.parsePredicates()};
+}}
+
+Object.defineProperties (UXMLXPathParser, {
+  pattern: {value: {
+    token: new RegExp("[\\t\\n\\r\\x20]*(?:"
+    + "(\\d+(?:\\.\\d*)?|\\.\\d+)"
+    + "|(\"[^\"]*\"|'[^']*')"
+    + "|((?:\\{[^}]*\\}"
+    + "|[\\w\\u{80}-\\u{10FFFF}][\\w\\-.\\u{80}-\\u{10FFFF}]*:)?"
+    + "(?:\\*|[\\w\\u{80}-\\u{10FFFF}][\\w\\-.\\u{80}-\\u{10FFFF}]*))"
+    + "|(\\/\\/|::|\\.\\.|!=|<=|>=|[/()[\\]@,|+\\-=<>.])"
+    + ")[\\t\\n\\r\\x20]*", "uy")
+  }},
+
+  operators: {value: ["and", "or", "div", "mod"]},
+
+  precedence: {value: [
+    ["or"],
+    ["and"],
+    ['=', "!="],
+    ['<', "<=", '>', ">="],
+    ['+', '-'],
+    ['*', "div", "mod"]
+  ]},
+
+  axes: {value: [
+    "child", "descendant", "descendant-or-self", "self",
+    "parent", "ancestor", "ancestor-or-self",
+    "following-sibling", "preceding-sibling",
+    "following", "preceding", "attribute"
+  ]},
+
+  nodeTypes: {value: ["node", "text", "comment", "processing-instruction"]},
+
+  functions: {value: {
+    "last":             {min: 0, max: 0},
+    "position":         {min: 0, max: 0},
+    "count":            {min: 1, max: 1},
+    "local-name":       {min: 0, max: 1},
+    "namespace-uri":    {min: 0, max: 1},
+    "name":             {min: 0, max: 1},
+    "string":           {min: 0, max: 1},
+    "concat":           {min: 2, max: Infinity},
+    "starts-with":      {min: 2, max: 2},
+    "contains":         {min: 2, max: 2},
+    "substring-before": {min: 2, max: 2},
+    "substring-after":  {min: 2, max: 2},
+    "substring":        {min: 2, max: 3},
+    "string-length":    {min: 0, max: 1},
+    "normalize-space":  {min: 0, max: 1},
+    "translate":        {min: 3, max: 3},
+    "boolean":          {min: 1, max: 1},
+    "not":              {min: 1, max: 1},
+    "true":             {min: 0, max: 0},
+    "false":            {min: 0, max: 0},
+    "number":           {min: 0, max: 1},
+    "sum":              {min: 1, max: 1},
+    "floor":            {min: 1, max: 1},
+    "ceiling":          {min: 1, max: 1},
+    "round":            {min: 1, max: 1}
+  }}
+});
+
+/* =============================================================================
+// Compiled expression
+// -------------------------------------------------------------------------- */
+
+class UXMLXPath {
+get [Symbol.toStringTag]() {
+  return "UXMLXPath";
+}
+
+constructor (source) {
+  Object.defineProperties (this, {
+    source: {value: source},
+    expr: {value: new UXMLXPathParser(source).parse()}
+  });
+}
+
+/* ===--------------------------------------------------------------------------
+// Compiled expressions are reused */
+static compile (source) {
+  if (source instanceof UXMLXPath) {
+    return source;
+  }
+
+  let xpath = UXMLXPath.cache.get (source);
+
+  if (xpath === undefined) {
+    xpath = new UXMLXPath(source);
+
+    if (UXMLXPath.cache.size === 256) {
+      UXMLXPath.cache.clear();
+    }
+
+    UXMLXPath.cache.set (source, xpath);
+  }
+
+  return xpath;
+}
+
+/* ===--------------------------------------------------------------------------
+// Evaluate against the context node or document */
+evaluate (context) {
+  let doc;
+
+  if (context instanceof UXMLDocument) {
+    doc = context;
+    context = doc;
+  } else {
+    /* Detached trees get a document of their own */
+    let top = context instanceof UXMLAttribute ? context.superNode : context;
+    while (top.superNode !== null) top = top.superNode;
+    doc = UXMLXPath.documents.get (top);
+
+    if (doc === undefined) {
+      doc = {root: top};
+      UXMLXPath.documents.set (top, doc);
+    }
+  }
+
+  const ev = new UXMLXPathContext(doc);
+  return ev.eval (this.expr, {node: context, pos: 1, size: 1});
+}}
+
+Object.defineProperties (UXMLXPath, {
+  cache: {value: new Map()},
+  documents: {value: new WeakMap()}
+});
+
+/* =============================================================================
+// Evaluation
+// -------------------------------------------------------------------------- */
+
+class UXMLXPathContext {
+get [Symbol.toStringTag]() {
+  return "UXMLXPathContext";
+}
+
+constructor (doc) {
+  this.doc = doc;
+  this.keys = new Map();
+}
+
+/* ===--------------------------------------------------------------------------
+// Tree structure with the document on top */
+isDoc (node) {
+  return node === this.doc;
+}
+
+parentOf (node) {
+  if (node === this.doc) return null;
+  if (node.superNode === null) return this.doc;
+  return node.superNode;
+}
+
+*childrenOf (node) {
+  if (node === this.doc) {
+    /* Detached trees have nothing but the root,
+    // and the document type isn't a part of the data model */
+    if (node.prolog === undefined) {
+      yield node.root;
+    } else for (let sub of node.nodes()) {
+      if (sub.type !== UXML.nodeType.doctype) yield sub;
+    }
+  } else if (node instanceof UXMLNode) {
+    for (let iter = node.firstNode; iter !== null; iter = iter.nextNode) {
+      yield iter;
+    }
+  }
+}
+
+/* ===--------------------------------------------------------------------------
+// Siblings, including the top-level nodes of the document */
+nextOf (node) {
+  if (node.superNode !== null || this.doc.prolog === undefined) {
+    return node.nextNode;
+  }
+
+  const top = Array.from (this.childrenOf (this.doc));
+  const idx = top.indexOf (node);
+
+  return (idx === -1) ? null : (top[idx + 1] || null);
+}
+
+prevOf (node) {
+  if (node.superNode !== null || this.doc.prolog === undefined) {
+    return node.prevNode;
+  }
+
+  const top = Array.from (this.childrenOf (this.doc));
+  const idx = top.indexOf (node);
+
+  return (idx === -1) ? null : (top[idx - 1] || null);
+}
+
+*descendantsOf (node) {
+  for (let sub of this.childrenOf (node)) {
+    yield sub;
+    yield* this.descendantsOf (sub);
+  }
+}
+
+/* ===--------------------------------------------------------------------------
+// Sort key reflecting the document order:
+// attributes go after their tag but before its contents */
+keyOf (node) {
+  let key = this.keys.get (node);
+
+  if (key !== undefined) {
+    return key;
+  }
+
+  if (node === this.doc) {
+    key = [];
+  } else if (node instanceof UXMLAttribute) {
+    let idx = 0;
+
+    for (let [name] of node.superNode.attributes) {
+      if (name === node.name) break;
+      ++idx;
+    }
+
+    key = this.keyOf (node.superNode).concat ([idx - 0x40000000]);
+  } else {
+    let idx = 0;
+    let iter = this.prevOf (node);
+    for (; iter !== null; iter = this.prevOf (iter)) ++idx;
+    key = this.keyOf (this.parentOf (node)).concat ([idx]);
+  }
+
+  this.keys.set (node, key);
+
+  return key;
+}
+
+sort (nodes) {
+  const unique = Array.from (new Set(nodes));
+
+  return unique.sort ((a, b) => {
+    const ka = this.keyOf (a);
+    const kb = this.keyOf (b);
+    const len = Math.min (ka.length, kb.length);
+
+    for (let idx = 0; idx !== len; ++idx) {
+      if (ka[idx] !== kb[idx]) return ka[idx] - kb[idx];
+    }
+
+    return ka.length - kb.length;
+  });
+}
+
+/* ===--------------------------------------------------------------------------
+// Nodes along the axis in the axis order */
+axisOf (axis, node) {
+  const ret = [];
+  let iter;
+
+  switch (axis) {
+  case "child":
+    return Array.from (this.childrenOf (node));
+  case "descendant":
+    return Array.from (this.descendantsOf (node));
+  case "descendant-or-self":
+    return [node, ...this.descendantsOf (node)];
+  case "self":
+    return [node];
+  case "parent":
+    iter = (node instanceof UXMLAttribute) ? node.superNode
+    : this.parentOf (node);
+    return (iter === null) ? [] : [iter];
+  case "ancestor-or-self":
+    ret.push (node);
+    /* Fall through */
+  case "ancestor":
+    iter = (node instanceof UXMLAttribute) ? node.superNode
+    : this.parentOf (node);
+
+    while (iter !== null) {
+      ret.push (iter);
+      iter = this.parentOf (iter);
+    }
+
+    return ret;
+  case "following-sibling":
+    if (node instanceof UXMLAttribute || node === this.doc) return ret;
+    for (iter = this.nextOf (node); iter !== null; iter = this.nextOf (iter)) {
+      ret.push (iter);
+    }
+    return ret;
+  case "preceding-sibling":
+    if (node instanceof UXMLAttribute || node === this.doc) return ret;
+    for (iter = this.prevOf (node); iter !== null; iter = this.prevOf (iter)) {
+      ret.push (iter);
+    }
+    return ret;
+  case "following":
+    iter = (node instanceof UXMLAttribute) ? node.superNode : node;
+
+    if (node instanceof UXMLAttribute) {
+      ret.push (...this.descendantsOf (iter));
+    }
+
+    for (; iter !== null && iter !== this.doc; iter = this.parentOf (iter)) {
+      for (let next = this.nextOf (iter); next !== null
+      ; next = this.nextOf (next)) {
+        ret.push (next, ...this.descendantsOf (next));
+      }
+    }
+
+    return ret;
+  case "preceding": {
+    iter = (node instanceof UXMLAttribute) ? node.superNode : node;
+
+    for (; iter !== null && iter !== this.doc; iter = this.parentOf (iter)) {
+      for (let prev = this.prevOf (iter); prev !== null
+      ; prev = this.prevOf (prev)) {
+        ret.push (...Array.from (this.descendantsOf (prev)).reverse(), prev);
+      }
+    }
+
+    return ret;
+  }
+  case "attribute":
+    if (!(node instanceof UXMLNode) || node.type !== UXML.nodeType.tag) {
+      return ret;
+    }
+
+    for (let [name] of node.attributes) {
+      ret.push (UXMLAttribute.of (node, name));
+    }
+
+    return ret;
+  }
+}
+
+/* ===--------------------------------------------------------------------------
+// Node test; the principal node type is attribute
+// on the attribute axis, and tag everywhere else */
+test (test, node, axis) {
+  switch (test.kind) {
+  case "node":
+    return true;
+  case "text":
+    return node instanceof UXMLNode && (node.type === UXML.nodeType.text
+    || node.type === UXML.nodeType.cdata);
+  case "comment":
+    return node instanceof UXMLNode && node.type === UXML.nodeType.comment;
+  case "processing-instruction":
+    return node instanceof UXMLNode && node.type === UXML.nodeType.pi
+    && (test.target === undefined || node.target === test.target);
+  }
+
+  if (axis === "attribute") {
+    if (!(node instanceof UXMLAttribute)) return false;
+  } else if (!(node instanceof UXMLNode) || node.type !== UXML.nodeType.tag) {
+    return false;
+  }
+
+  const name = node.name;
+
+  if (test.uri !== undefined) {
+    if (test.local !== '*' && node.localName !== test.local) return false;
+    return node.namespaceURI === test.uri;
+  }
+
+  if (test.prefix === null) {
+    return test.local === '*' || name === test.local;
+  }
+
+  if (test.local === '*') {
+    return name.startsWith (test.prefix + ':');
+  }
+
+  return name === test.prefix + ':' + test.local;
+}
+
+/* ===--------------------------------------------------------------------------
+// Filter the nodes in the given order with the predicates */
+filter (nodes, preds) {
+  for (let pred of preds) {
+    const size = nodes.length;
+
+    nodes = nodes.filter ((node, idx) => {
+      const ret = this.eval (pred, {node: node, pos: idx + 1, size: size});
+
+      if (typeof ret === "number") {
+        return ret === idx + 1;
+      }
+
+      return UXMLXPathContext.toBoolean (ret);
+    });
+  }
+
+  return nodes;
+}
+
+evalPath (expr, ctx) {
+  let nodes;
+
+  if (expr.filter !== null) {
+    nodes = this.eval (expr.filter, ctx);
+
+    if (!Array.isArray (nodes)) {
+      throw new TypeError("Expression doesn't evaluate to a node set");
+    }
+
+    nodes = this.filter (nodes, expr.preds);
+  } else {
+    nodes = [expr.absolute ? this.doc : ctx.node];
+  }
+
+  for (let step of expr.steps) {
+    const reverse = step.axis === "parent" || step.axis === "preceding"
+    || step.axis.startsWith ("ancestor") || step.axis === "preceding-sibling";
+    let ret = [];
+
+    for (let node of nodes) {
+      let sub = this.axisOf (step.axis, node)
+      .filter ((iter) => this.test (step.test, iter, step.axis));
+      sub = this.filter (sub, step.preds);
+      if (reverse) sub.reverse();
+      ret.push (...sub);
+    }
+
+    nodes = (nodes.length > 1 || reverse) ? this.sort (ret) : ret;
+  }
+
+  return nodes;
+}
+
+/* ===--------------------------------------------------------------------------
+// Expression tree walker */
+eval (expr, ctx) {
+  switch (expr.type) {
+  case "num":
+  case "str":
+    return expr.value;
+  case "neg":
+    return -UXMLXPathContext.toNumber (this.eval (expr.expr, ctx), this);
+  case "path":
+    return this.evalPath (expr, ctx);
+  case "fn":
+    return this.call (expr.name, expr.args, ctx);
+  }
+
+  /* Binary operators */
+  const op = expr.op;
+
+  if (op === "or") {
+    return UXMLXPathContext.toBoolean (this.eval (expr.lhs, ctx))
+    || UXMLXPathContext.toBoolean (this.eval (expr.rhs, ctx));
+  }
+
+  if (op === "and") {
+    return UXMLXPathContext.toBoolean (this.eval (expr.lhs, ctx))
+    && UXMLXPathContext.toBoolean (this.eval (expr.rhs, ctx));
+  }
+
+  const lhs = this.eval (expr.lhs, ctx);
+  const rhs = this.eval (expr.rhs, ctx);
+
+  if (op === '|') {
+    if (!Array.isArray (lhs) || !Array.isArray (rhs)) {
+      throw new TypeError("Union of values other than node sets");
+    }
+
+    return this.sort (lhs.concat (rhs));
+  }
+
+  switch (op) {
+  case '=': case "!=": case '<': case "<=": case '>': case ">=":
+    return this.compare (op, lhs, rhs);
+  }
+
+  const a = UXMLXPathContext.toNumber (lhs, this);
+  const b = UXMLXPathContext.toNumber (rhs, this);
+
+  switch (op) {
+  case '+': return a + b;
+  case '-': return a - b;
+  case '*': return a * b;
+  case "div": return a / b;
+  case "mod": return a % b;
+  }
+}
+
+/* ===--------------------------------------------------------------------------
+// Comparisons involving node sets are existential */
+compare (op, lhs, rhs) {
+  const cmp = (a, b) => {
+    if (op === '=' || op === "!=") {
+      let eq;
+
+      if (typeof a === "boolean" || typeof b === "boolean") {
+        eq = UXMLXPathContext.toBoolean (a) === UXMLXPathContext.toBoolean (b);
+      } else if (typeof a === "number" || typeof b === "number") {
+        eq = UXMLXPathContext.toNumber (a) === UXMLXPathContext.toNumber (b);
+      } else {
+        eq = a === b;
+      }
+
+      return (op === '=') ? eq : !eq;
+    }
+
+    a = UXMLXPathContext.toNumber (a);
+    b = UXMLXPathContext.toNumber (b);
+
+    switch (op) {
+    case '<': return a < b;
+    case "<=": return a <= b;
+    case '>': return a > b;
+    case ">=": return a >= b;
+    }
+  };
+
+  const values = (nodes) => nodes.map (UXMLXPathContext.stringOf);
+
+  if (Array.isArray (lhs) && Array.isArray (rhs)) {
+    const rvals = values (rhs);
+    return values(lhs).some ((a) => rvals.some ((b) => cmp (a, b)));
+  }
+
+  if (Array.isArray (lhs)) {
+    if (typeof rhs === "boolean") return cmp (lhs.length !== 0, rhs);
+    return values(lhs).some ((a) => cmp (a, rhs));
+  }
+
+  if (Array.isArray (rhs)) {
+    if (typeof lhs === "boolean") return cmp (lhs, rhs.length !== 0);
+    return values(rhs).some ((b) => cmp (lhs, b));
+  }
+
+  return cmp (lhs, rhs);
+}
+
+/* ===--------------------------------------------------------------------------
+// Core function library */
+call (name, args, ctx) {
+  const str = (idx) => (args.length > idx)
+  ? UXMLXPathContext.toString (this.eval (args[idx], ctx))
+  : UXMLXPathContext.stringOf (ctx.node);
+  const num = (idx) => UXMLXPathContext.toNumber (this.eval (args[idx], ctx));
+  const nodes = (idx) => {
+    if (args.length <= idx) return [ctx.node];
+    const ret = this.eval (args[idx], ctx);
+
+    if (!Array.isArray (ret)) {
+      throw new TypeError("Argument to " + name + "() must be a node set");
+    }
+
+    return ret;
+  };
+
+  switch (name) {
+  case "last": return ctx.size;
+  case "position": return ctx.pos;
+  case "count": return nodes(0).length;
+  case "local-name":
+  case "name": {
+    const node = nodes(0)[0];
+    if (node === undefined) return "";
+    const qname = (node instanceof UXMLNode
+    && node.type === UXML.nodeType.pi) ? node.target : node.name;
+    if (qname === undefined) return "";
+    if (name === "name") return qname;
+    return qname.substring (qname.indexOf (':') + 1);
+  }
+  case "namespace-uri": {
+    const node = nodes(0)[0];
+    if (node === undefined || node.name === undefined) return "";
+    return node.namespaceURI || "";
+  }
+  case "string": return str(0);
+  case "concat": return args.map ((arg, idx) => str (idx)).join ("");
+  case "starts-with": return str(0).startsWith (str(1));
+  case "contains": return str(0).includes (str(1));
+  case "substring-before": {
+    const s = str(0);
+    const idx = s.indexOf (str(1));
+    return (idx === -1) ? "" : s.substring (0, idx);
+  }
+  case "substring-after": {
+    const s = str(0);
+    const sub = str(1);
+    const idx = s.indexOf (sub);
+    return (idx === -1) ? "" : s.substring (idx + sub.length);
+  }
+  case "substring": {
+    const chars = Array.from (str(0));
+    const start = Math.round (num(1));
+    const end = (args.length > 2) ? start + Math.round (num(2)) : Infinity;
+    return chars.filter ((chr, idx) => idx + 1 >= start && idx + 1 < end)
+    .join ("");
+  }
+  case "string-length": return Array.from (str(0)).length;
+  case "normalize-space":
+    return str(0).replace (UXML.pattern.wspace, ' ').trim();
+  case "translate": {
+    const from = Array.from (str(1));
+    const to = Array.from (str(2));
+    return Array.from (str(0)).map ((chr) => {
+      const idx = from.indexOf (chr);
+      return (idx === -1) ? chr : (to[idx] || "");
+    }).join ("");
+  }
+  case "boolean":
+    return UXMLXPathContext.toBoolean (this.eval (args[0], ctx));
+  case "not":
+    return !UXMLXPathContext.toBoolean (this.eval (args[0], ctx));
+  case "true": return true;
+  case "false": return false;
+  case "number":
+    return UXMLXPathContext.toNumber ((args.length !== 0)
+    ? this.eval (args[0], ctx) : [ctx.node]);
+  case "sum":
+    return nodes(0).reduce ((sum, node) =>
+      sum + UXMLXPathContext.toNumber (UXMLXPathContext.stringOf (node)), 0);
+  case "floor": return Math.floor (num(0));
+  case "ceiling": return Math.ceil (num(0));
+  case "round": return Math.round (num(0));
+  }
+}
+
+/* ===--------------------------------------------------------------------------
+// Type conversions */
+static stringOf (node) {
+  if (node instanceof UXMLAttribute) {
+    return node.value;
+  }
+
+  if (node instanceof UXMLNode && node.type === UXML.nodeType.pi) {
+    return node.data;
+  }
+
+  if (node instanceof UXMLNode && node.type !== UXML.nodeType.tag) {
+    return node.value;
+  }
+
+  /* Concatenated text of the tag or document */
+  let out = "";
+  const walk = (node) => {
+    for (let iter = node.firstNode; iter !== null; iter = iter.nextNode) {
+      if (iter.type === UXML.nodeType.tag) walk (iter);
+      else if (iter.type === UXML.nodeType.text
+      || iter.type === UXML.nodeType.cdata) out += iter.value;
+    }
+  };
+
+  walk ((node instanceof UXMLNode) ? node : node.root);
+
+  return out;
+}
+
+static toString (value) {
+  if (Array.isArray (value)) {
+    return (value.length === 0) ? "" : UXMLXPathContext.stringOf (value[0]);
+  }
+
+  if (typeof value === "number") {
+    if (Object.is (value, -0)) return "0";
+    return String (value);
+  }
+
+  return String (value);
+}
+
+static toNumber (value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "boolean") return value ? 1 : 0;
+
+  const str = UXMLXPathContext.toString (value).trim();
+  if (!UXMLXPathContext.pattern.number.test (str)) return NaN;
+
+  return parseFloat (str);
+}
+
+static toBoolean (value) {
+  if (Array.isArray (value)) return value.length !== 0;
+  if (typeof value === "number") return value !== 0 && !isNaN (value);
+  if (typeof value === "string") return value.length !== 0;
+  return value;
+}}
+
+Object.defineProperties (UXMLXPathContext, {
+  pattern: {value: {
+    number: /^-?(?:\d+(?:\.\d*)?|\.\d+)$/
+  }}
+});
+
+/* =============================================================================
+// Add static functions
+// -------------------------------------------------------------------------- */
+
+Object.defineProperties (UXML, {
+
+/* ===--------------------------------------------------------------------------
+// Evaluate XPath expression against the context node or document */
+evaluate: {value: function (expr, context) {
+  return UXMLXPath.compile (expr).evaluate (context);
+}}
+
+});
+
+/* ===--------------------------------------------------------------------------
+// Exports */
+export {
+  UXMLXPath,
+  UXMLAttribute
+}
+
+/* ===------------------------------- {U} --------------------------------=== */
@@ -6,12 +6,16 @@
 // A minimalist XML subset flavored for markup exchange:
 //
 //   * Supported node types: tags, text and CDATA sections,
-//     comment nodes. XML namespace prefixes are recognized,
-//     but aren't treated in any special way.
+//     comment nodes, processing instructions. XML namespace prefixes
+//     are recognized, and are resolved to namespace URIs on request.
 //   * Recognized entity symbols: &amp, &lt, &gt, &quot, &apos,
-//     decimal (&#65) and hexadecimal (&#x41) encoded code points.
-//   * The XML declaration, and all top-level processing instructions,
-//     and external DTDs are skipped, and inline DTDs are not supported.
+//     decimal (&#65) and hexadecimal (&#x41) encoded code points,
+//     and any other entities provided by the application.
+//   * Processing instructions, the XML declaration, and the document
+//     type declaration are kept as is. Only internal entities and
+//     attribute defaults are taken from the internal DTD subset.
+//   * The markup may also be parsed incrementally as it arrives
+//     in chunks, with the push parser reporting it as events.
 //
 // Copyright garnetius.
 // -------------------------------------------------------------------------- */
@@ -43,20 +47,40 @@ constructor (type, data, attrs=undefined) {
   if (type === UXML.nodeType.tag) {
     /* Regular <tag/> */
     Object.defineProperties (this, {
-      name: {value: data, writable: true},
-      attributes: {value: new RadixTree(attrs)},
+      $name: {value: data, writable: true},
+      attributes: {value: new UXMLAttributes(this, attrs)},
       size: {value: 0, writable: true},
-      length: {get: function() {return this.size}}
+      length: {get: function() {return this.size}},
+      /* Namespace resolved at parse time, if any */
+      $uri: {value: undefined, writable: true}
+    });
+  } else if (type === UXML.nodeType.pi) {
+    /* <?target data?> */
+    Object.defineProperties (this, {
+      $target: {value: data, writable: true},
+      $data: {value: attrs || "", writable: true}
+    });
+  } else if (type === UXML.nodeType.doctype) {
+    /* <!DOCTYPE name PUBLIC "publicId" "systemId" [internalSubset]> */
+    const ids = attrs || {};
+
+    Object.defineProperties (this, {
+      $name: {value: data, writable: true},
+      publicId: {value: ids.publicId || null, writable: true},
+      systemId: {value: ids.systemId || null, writable: true},
+      internalSubset: {value: ids.internalSubset || null, writable: true}
     });
   } else {
     /* Textual or comment node */
     Object.defineProperties (this, {
-      value: {value: data, writable: type !== UXML.nodeType.nul}
+      $value: {value: data, writable: type !== UXML.nodeType.nul}
     });
   }
 
   /* Implemented as a double-linked list */
   Object.defineProperties (this, {
+    /* Source range, if parsed with the `locations` option */
+    location:  {value: null, writable: type !== UXML.nodeType.nul},
     prevNode:  {value: null, writable: type !== UXML.nodeType.nul},
     superNode: {value: null, writable: type !== UXML.nodeType.nul},
     firstNode: {value: null, writable: type !== UXML.nodeType.nul},
@@ -69,11 +93,103 @@ isTag()     {return this.type === UXML.nodeType.tag}
 isText()    {return this.type === UXML.nodeType.text}
 isCdata()   {return this.type === UXML.nodeType.cdata}
 isComment() {return this.type === UXML.nodeType.comment}
+isPi()      {return this.type === UXML.nodeType.pi}
+isDoctype() {return this.type === UXML.nodeType.doctype}
 isNull()    {return this.type === UXML.nodeType.nul}
 
 toJSON() {return UXML.stringify(this)}
 toUSON() {return this}
 
+/* ===--------------------------------------------------------------------------
+// Names and values: the changes are reported to the observers */
+get name()   {return this.$name}
+get target() {return this.$target}
+get data()   {return this.$data}
+get value()  {return this.$value}
+
+set target (target) {this.$change ("name", "$target", target)}
+set data (data)     {this.$change ("characterData", "$data", data)}
+set value (value)   {this.$change ("characterData", "$value", value)}
+
+/* The namespace of the renamed tag is the one its new prefix is bound to */
+set name (name) {
+  const prefix = this.prefix;
+  this.$change ("name", "$name", name);
+
+  if (this.type === UXML.nodeType.tag && this.prefix !== prefix) {
+    this.$uri = undefined;
+  }
+}
+
+$change (type, key, value) {
+  if (!(key in this)) {
+    throw new TypeError();
+  }
+
+  const old = this[key];
+  this[key] = value;
+
+  if (UXMLObserver.active !== 0) {
+    UXMLObserver.notify (this, type, {oldValue: old});
+  }
+}
+
+/* ===--------------------------------------------------------------------------
+// Namespaces: the tag namespace is the one it was parsed
+// or created with, otherwise it is looked up in the scope */
+get prefix() {
+  if (this.type !== UXML.nodeType.tag) return null;
+  const sep = this.name.indexOf (':');
+  return (sep === -1) ? null : this.name.substring (0, sep);
+}
+
+get localName() {
+  if (this.type !== UXML.nodeType.tag) return null;
+  return this.name.substring (this.name.indexOf (':') + 1);
+}
+
+get namespaceURI() {
+  if (this.type !== UXML.nodeType.tag) return null;
+  if (this.$uri !== undefined) return this.$uri;
+  return this.lookupNamespaceURI (this.prefix);
+}
+
+lookupNamespaceURI (prefix) {
+  const attr = prefix ? "xmlns:" + prefix : "xmlns";
+
+  if (prefix && UXML.nsURI.hasOwnProperty (prefix)) {
+    return UXML.nsURI[prefix];
+  }
+
+  for (let node = this; node !== null; node = node.superNode) {
+    if (node.type !== UXML.nodeType.tag) continue;
+    const uri = node.attributes.get (attr);
+    if (uri !== undefined) return uri || null;
+  }
+
+  return null;
+}
+
+/* Unprefixed attributes are in no namespace */
+attributeNamespaceURI (name) {
+  const sep = name.indexOf (':');
+  if (sep === -1) return (name === "xmlns") ? UXML.nsURI.xmlns : null;
+  return this.lookupNamespaceURI (name.substring (0, sep));
+}
+
+/* ===--------------------------------------------------------------------------
+// See if the whitespace inside of the tag is significant
+// given the state inherited from its container:
+// `xml:space` attribute takes precedence over the list of tags */
+$preservesSpace (inherited, opts) {
+  const space = this.attributes.get ("xml:space");
+
+  if (space === "preserve") return true;
+  if (space === "default") return !!opts.preserveSpace;
+
+  return inherited || (opts.preserveTags || []).includes (this.name);
+}
+
 /* ===--------------------------------------------------------------------------
 // Navigation */
 $navigate (dir, num) {
@@ -296,6 +412,11 @@ detach() {
   this.nextNode = null;
   --sup.size;
 
+  if (UXMLObserver.active !== 0) {
+    UXMLObserver.notify (sup, "childList", {removedNodes: [this]
+    , previousSibling: prev, nextSibling: next});
+  }
+
   return this;
 }
 
@@ -320,6 +441,11 @@ append (node) {
   this.lastNode = node;
   ++this.size;
 
+  if (UXMLObserver.active !== 0) {
+    UXMLObserver.notify (this, "childList", {addedNodes: [node]
+    , previousSibling: node.prevNode});
+  }
+
   return this;
 }
 
@@ -355,6 +481,11 @@ insert (node, ref=null) {
   ref.prevNode = node;
   ++this.size;
 
+  if (UXMLObserver.active !== 0) {
+    UXMLObserver.notify (this, "childList", {addedNodes: [node]
+    , previousSibling: node.prevNode, nextSibling: ref});
+  }
+
   return this;
 }
 
@@ -377,604 +508,3119 @@ remove (node) {
   }
 
   return this;
-}}
+}
 
-/* =============================================================================
-// Document
-// -------------------------------------------------------------------------- */
+/* ===--------------------------------------------------------------------------
+// Copy the node (with all the sub nodes unless `deep` is false).
+// The copy is detached, and keeps the attribute order. */
+clone (deep=true) {
+  let node;
+
+  switch (this.type) {
+  case UXML.nodeType.nul:
+    return this;
+  case UXML.nodeType.tag:
+    node = new UXMLNode(this.type, this.name);
+    node.$uri = this.$uri;
+
+    for (let [attr, value] of this.attributes) {
+      node.attributes.set (attr, value);
+    }
 
-class UXMLDocument {
-get [Symbol.toStringTag]() {
-  return "UXMLDocument";
-}
+    if (deep) {
+      for (let sub of this.nodes()) node.append (sub.clone (true));
+    }
 
-constructor (name) {
-  Object.defineProperties (this, {
-    pi: {value: new Array()},
-    root: {value: new UXMLNode(UXML.nodeType.tag, name)}
-  });
+    return node;
+  case UXML.nodeType.pi:
+    return new UXMLNode(this.type, this.target, this.data);
+  case UXML.nodeType.doctype:
+    return new UXMLNode(this.type, this.name, this);
+  default:
+    return new UXMLNode(this.type, this.value);
+  }
 }
 
-toJSON() {return UXML.stringify(this)}
-toUSON() {return this}
-
 /* ===--------------------------------------------------------------------------
-// Node factories */
-static newTagNode (name, attrs=undefined) {
-  return new UXMLNode(UXML.nodeType.tag, name, attrs);
+// Structural equality: comments, whitespace-only text,
+// and the attribute order can be ignored */
+isEqual (other, opts=UXML.defEqualOpts) {
+  return this.$isEqual (other, Object.assign ({}, UXML.defEqualOpts, opts));
 }
 
-static newTextNode (value) {
-  return new UXMLNode(UXML.nodeType.text, value);
-}
+$isEqual (other, opts) {
+  if (!(other instanceof UXMLNode) || this.type !== other.type) {
+    return false;
+  }
 
-static newCdataNode (value) {
-  return new UXMLNode(UXML.nodeType.cdata, value);
+  switch (this.type) {
+  case UXML.nodeType.nul:
+    return true;
+  case UXML.nodeType.tag:
+    break;
+  case UXML.nodeType.pi:
+    return this.target === other.target && this.data === other.data;
+  case UXML.nodeType.doctype:
+    return this.name === other.name && this.publicId === other.publicId
+    && this.systemId === other.systemId
+    && this.internalSubset === other.internalSubset;
+  default:
+    return this.value === other.value;
+  }
+
+  if (this.name !== other.name) {
+    return false;
+  }
+
+  const attrs = Array.from (this.attributes);
+  const others = Array.from (other.attributes);
+
+  if (attrs.length !== others.length || !attrs.every ((attr, idx) =>
+  opts.ignoreAttributeOrder ? other.attributes.get (attr[0]) === attr[1]
+  : attr[0] === others[idx][0] && attr[1] === others[idx][1])) {
+    return false;
+  }
+
+  const subs = UXMLNode.significant (this, opts);
+  const otherSubs = UXMLNode.significant (other, opts);
+
+  return subs.length === otherSubs.length
+  && subs.every ((sub, idx) => sub.$isEqual (otherSubs[idx], opts));
 }
 
-static newCommentNode (value) {
-  return new UXMLNode(UXML.nodeType.comment, value);
-}}
+/* ===--------------------------------------------------------------------------
+// Sub nodes taken into account by the comparison */
+static significant (nodes, opts) {
+  return Array.from (nodes).filter ((node) => {
+    if (opts.ignoreComments && node.type === UXML.nodeType.comment) {
+      return false;
+    }
 
-Object.defineProperties (UXMLDocument, {
-  beginning: {value: '<?xml version="1.0" encoding="utf-8"?>'}
-});
+    return !(opts.ignoreSpace && node.type === UXML.nodeType.text
+    && node.value.replace (UXML.pattern.wspace, "").length === 0);
+  });
+}}
 
 /* =============================================================================
-// Parser
+// Attributes: a wrapper around the radix tree
+// reporting the changes to the observers
 // -------------------------------------------------------------------------- */
 
-class UXMLParser {
+class UXMLAttributes {
 get [Symbol.toStringTag]() {
-  return "UXMLParser";
+  return "UXMLAttributes";
 }
 
-/* ===--------------------------------------------------------------------------
-// Process XML entities into their character equivalents */
-static unescape (input) {
-  let out = "";
-  let from = 0;
-  let idx = input.indexOf ('&');
-  const len = input.length;
+[Symbol.iterator]() {
+  return this.entries();
+}
 
-  while (true) {
-    if (idx === -1) {
-      out += input.substring (from);
-      return out;
-    }
+constructor (node, attrs=undefined) {
+  Object.defineProperties (this, {
+    node: {value: node},
+    tree: {value: new RadixTree(attrs)}
+  });
+}
 
-    const escStart = idx;
-    out += input.substring (from, idx);
-    idx = input.indexOf (';', ++idx);
+get size() {
+  return this.tree.size;
+}
 
-    if (idx === -1) {
-      return null;
-    }
+get (name) {
+  return this.tree.get (name);
+}
 
-    const ent = input.substring (escStart + 1, idx++);
+has (name) {
+  return this.tree.has (name);
+}
 
-    if (ent[0] === '#') {
-      let codep;
+set (name, value) {
+  const old = this.tree.get (name);
+  this.tree.set (name, value);
 
-      if (ent[1] === 'x') {
-        codep = parseInt (ent.substring (2), 16);
-      } else {
-        codep = parseInt (ent.substring (1), 10);
-      }
+  if (UXMLObserver.active !== 0) {
+    UXMLObserver.notify (this.node, "attributes"
+    , {attributeName: name, oldValue: (old === undefined) ? null : old});
+  }
 
-      if (isNaN (codep)) {
-        return null;
-      }
+  return this;
+}
 
-      out += String.fromCodePoint (codep);
-      from = idx;
-    } else {
-      from = idx;
+delete (name) {
+  const old = this.tree.get (name);
 
-      switch (ent) {
-      case "lt":   out += '<';  break;
-      case "gt":   out += '>';  break;
-      case "quot": out += '"';  break;
-      case "apos": out += '\''; break;
-      case "amp":  out += '&';  break;
-      default: from = escStart;
-      }
-    }
+  if (old === undefined) {
+    return false;
+  }
 
-    idx = input.indexOf ('&', idx);
+  this.tree.delete (name);
+
+  if (UXMLObserver.active !== 0) {
+    UXMLObserver.notify (this.node, "attributes"
+    , {attributeName: name, oldValue: old});
   }
+
+  return true;
 }
 
-/* ===--------------------------------------------------------------------=== */
+clear() {
+  for (let name of Array.from (this.keys())) {
+    this.delete (name);
+  }
+}
 
-parse (input, pos, len) {
-  const chrLT = '<'.charCodeAt(0);
-  const chrAK = '?'.charCodeAt(0);
-  const chrEX = '!'.charCodeAt(0);
-  const chrMI = '-'.charCodeAt(0);
-  const chrCL = ':'.charCodeAt(0);
-  const chrEQ = '='.charCodeAt(0);
-  const chrDQ = '"'.charCodeAt(0);
-  const chrSQ = "'".charCodeAt(0);
-  const chrLB = '['.charCodeAt(0);
-  const chrRB = ']'.charCodeAt(0);
-  const chrSL = '/'.charCodeAt(0);
-  const chrGT = '>'.charCodeAt(0);
-  const chrAM = "&".charCodeAt(0);
-
-  const tknNone     = 0;
-  const tknTagStart = 1; // <
-  const tknAttr     = 2; // attribute
-  const tknAttrEq   = 3; // =
-  const tknAttrVal  = 4; // "
-  const tknTagClose = 5; // /
-  const tknTagEnd   = 6; // >
-  const tknPi       = 7; // ?
-  const tknComment  = 8; // !--
-  const tknCdata    = 9; // ![CDATA[
-  const tknText     = 10;
-
-  const scopeDoc = 0;
-  const scopeTag = 1;
-
-  let chr = 0;
-  let p = pos;
-  let posNs = 0;
-  let decl = false;
-  let scope = scopeDoc;
-  let wspaceTrail = false;
-  const embedded = pos !== 0;
+/* ===--------------------------------------------------------------------------
+// Iterators */
+*entries() {
+  yield* this.tree;
+}
 
-  let doc;
-  let superNode;
-  let root = null;
-  let currNode = null;
-  let currTag = "";
-  let currAttr = "";
-  let pi = [];
-  let text;
+*keys() {
+  for (let [name] of this.tree) yield name;
+}
 
-  /* ===--------------
-  // Consume tokens */
-  const skipChar = (num=1) => {
-    pos += num;
-    chr = input.charCodeAt(pos);
-  };
+*values() {
+  for (let [, value] of this.tree) yield value;
+}
 
-  const skipSpace = () => {
-    while (pos !== len) {
-      chr = input.charCodeAt(pos);
-      if (chr > 32) return true;
-      ++pos;
-    }
+forEach (func, that) {
+  for (let [name, value] of this.tree) {
+    func.call (that, value, name, this);
+  }
+}}
 
-    return false;
-  };
+/* =============================================================================
+// Mutation observer, modeled on the DOM one: the change records
+// are delivered in batches after the current task is done
+// -------------------------------------------------------------------------- */
 
-  const skipTag = (closing) => {
-    const start = pos;
+class UXMLObserver {
+get [Symbol.toStringTag]() {
+  return "UXMLObserver";
+}
 
-    while (pos !== len) {
-      chr = input.charCodeAt(pos);
+constructor (callback) {
+  if (typeof callback !== "function") {
+    throw new TypeError();
+  }
 
-      if (chr === chrGT) return posNs !== pos - 1;
-      if (chr === chrSL) return !closing && posNs !== pos - 1;
-      if (chr <=  32   ) return !closing && posNs !== pos - 1;
-      if (chr === chrCL) {
-        if (posNs !== 0) return false;
-        if (pos === start) return false;
-        posNs = pos;
-      } else if (chr < 128
-      && !UXML.charLut[toInteger(pos === start)][chr]) return false;
+  Object.defineProperties (this, {
+    callback: {value: callback},
+    records: {value: new Array()},
+    nodes: {value: new Set()},
+    scheduled: {value: false, writable: true}
+  });
+}
 
-      ++pos;
-    }
+/* ===--------------------------------------------------------------------------
+// Start observing the node (observing it again replaces the options) */
+observe (node, opts=UXML.defObserveOpts) {
+  if (node instanceof UXMLDocument) {
+    node = node.root;
+  }
 
-    return false;
-  };
+  if (!(node instanceof UXMLNode) || node.type === UXML.nodeType.nul) {
+    throw new TypeError();
+  }
 
-  const skipAttr = () => {
-    const start = pos;
+  opts = Object.assign ({}, UXML.defObserveOpts, opts);
 
-    while (pos !== len) {
-      chr = input.charCodeAt(pos);
+  let regs = UXMLObserver.registry.get (node);
 
-      if (chr === chrEQ) return posNs !== pos - 1;
-      if (chr === chrCL) {
-        if (posNs !== 0) return false;
-        if (pos === start) return false;
-        posNs = pos;
-      } else if (chr < 128
-      && !UXML.charLut[toInteger(pos === start)][chr]) return false;
+  if (regs === undefined) {
+    regs = [];
+    UXMLObserver.registry.set (node, regs);
+  }
 
-      ++pos;
-    }
+  const reg = regs.find ((reg) => reg.observer === this);
 
-    return false;
-  };
+  if (reg !== undefined) {
+    reg.opts = opts;
+  } else {
+    regs.push ({observer: this, opts: opts});
+    this.nodes.add (node);
+    ++UXMLObserver.active;
+  }
+}
 
-  const skipToValue = () => {
-    chr = input.charCodeAt(pos);
-    return chr === chrDQ || chr === chrSQ;
-  };
+/* ===--------------------------------------------------------------------------
+// Stop observing, dropping the pending records */
+disconnect() {
+  for (let node of this.nodes) {
+    const regs = UXMLObserver.registry.get (node);
+    const idx = regs.findIndex ((reg) => reg.observer === this);
+
+    regs.splice (idx, 1);
+    if (regs.length === 0) UXMLObserver.registry.delete (node);
+    --UXMLObserver.active;
+  }
 
-  const skipValue = () => {
-    while (pos !== len) {
-      if (input.charCodeAt(pos) === chr) return true;
-      ++pos;
-    }
+  this.nodes.clear();
+  this.records.length = 0;
+}
 
-    return false;
-  };
+/* ===--------------------------------------------------------------------------
+// Take the pending records without waiting for them */
+takeRecords() {
+  return this.records.splice (0);
+}
 
-  const skipText = () => {
-    while (pos !== len) {
-      chr = input.charCodeAt(pos);
-      if (chr === chrLT) return true;
-      ++pos;
-    }
+/* ===--------------------------------------------------------------------------
+// Queue the record, scheduling the delivery */
+enqueue (record) {
+  this.records.push (record);
 
-    return false;
-  };
+  if (!this.scheduled) {
+    this.scheduled = true;
 
-  const skipCDATA = () => {
-    while (pos !== len) {
-      chr = input.charCodeAt(pos);
+    queueMicrotask (() => {
+      this.scheduled = false;
+      const records = this.takeRecords();
+      if (records.length !== 0) this.callback (records, this);
+    });
+  }
+}
 
-      if (chr === chrRB
-      && input.charCodeAt(pos + 1) === chrRB
-      && input.charCodeAt(pos + 2) === chrGT) {
-        return true;
+/* ===--------------------------------------------------------------------------
+// Report the change of the target to the observers of it,
+// and to the observers of its containers watching the subtree */
+static notify (target, type, info) {
+  const record = Object.assign ({
+    type: type,
+    target: target,
+    addedNodes: [],
+    removedNodes: [],
+    previousSibling: null,
+    nextSibling: null,
+    attributeName: null,
+    oldValue: null
+  }, info);
+
+  const notified = new Set();
+
+  for (let node = target; node !== null; node = node.superNode) {
+    const regs = UXMLObserver.registry.get (node);
+    if (regs === undefined) continue;
+
+    for (let reg of regs) {
+      if ((node !== target && !reg.opts.subtree) || !reg.opts[type]
+      || notified.has (reg.observer)) {
+        continue;
       }
 
-      ++pos;
+      notified.add (reg.observer);
+      reg.observer.enqueue (record);
     }
+  }
+}}
 
-    return false;
-  };
+Object.defineProperties (UXMLObserver, {
+  /* Observers of each node */
+  registry: {value: new WeakMap()},
+  /* The number of the observations, so that nothing
+  // has to be looked up when there are none */
+  active: {value: 0, writable: true}
+});
 
-  const skipComment = () => {
-    while (pos !== len) {
-      chr = input.charCodeAt(pos);
+/* =============================================================================
+// Document
+// -------------------------------------------------------------------------- */
 
-      if (chr === chrMI
-      && input.charCodeAt(pos + 1) === chrMI
-      && input.charCodeAt(pos + 2) === chrGT) {
-        return true;
-      }
+class UXMLDocument {
+get [Symbol.toStringTag]() {
+  return "UXMLDocument";
+}
 
-      ++pos;
-    }
+/* ===--------------------------------------------------------------------------
+// The root is given either as a tag name, or as a detached tag node.
+// Comments and processing instructions around the root are kept
+// in `prolog` and `epilog`, along with the document type. */
+constructor (root) {
+  Object.defineProperties (this, {
+    declaration: {value: null, writable: true},
+    prolog: {value: new Array()},
+    root: {value: (root instanceof UXMLNode) ? root
+      : new UXMLNode(UXML.nodeType.tag, root)},
+    epilog: {value: new Array()}
+  });
+}
 
-    return false;
-  };
+toJSON() {return UXML.stringify(this)}
+toUSON() {return this}
 
-  /* Normalize whitespace inside processing instruction */
-  const skipPi = () => {
-    /* Skip all leading whitespace */
-    let o = "";
-    const x = chr === chrEX;
+/* ===--------------------------------------------------------------------------
+// The document type node, if any */
+get doctype() {
+  for (let node of this.prolog) {
+    if (node.type === UXML.nodeType.doctype) return node;
+  }
 
-    while (true) {
-      ++pos;
+  return nullNode;
+}
 
-      if (pos === len) {
-        return false;
-      }
+/* ===--------------------------------------------------------------------------
+// Markup of the XML declaration, the document type, and the processing
+// instructions around the root, as they used to be kept. This is a copy,
+// but the markup pushed into it is added to the prolog with `addPi()`. */
+get pi() {
+  const pi = [];
+
+  if (this.declaration !== null) {
+    pi.push (UXMLFormatter.declaration (this.declaration));
+  }
 
-      if ((chr = input.charCodeAt(pos)) > 32) {
-        break;
-      }
+  for (let node of this.nodes()) {
+    if (node.type === UXML.nodeType.pi || node.type === UXML.nodeType.doctype) {
+      pi.push (UXMLFormatter.markup (node));
     }
+  }
 
-    /* Replace blocks of whitespace inside PI with single whitespace,
-    // unless inside string */
-    let q;
-    let string = false;
-    p = pos;
+  Object.defineProperty (pi, "push", {value: (...markup) => {
+    for (let str of markup) this.addPi (str);
+    return Array.prototype.push.apply (pi, markup);
+  }});
 
-    while (true) {
-      do {
-        if (string && chr === q) {
-          string = false;
-        } else if (!string && chr === chrDQ || chr === chrSQ) {
-          string = true;
-          q = chr;
-        } else if (!string && chr === chrAK) {
-          if (x || input.charCodeAt(pos + 1) !== chrGT) {
-            return false;
-          }
+  return pi;
+}
 
-          if (!decl) {
-            decl = true;
-          }
+/* ===--------------------------------------------------------------------------
+// Add the processing instructions (and the document type) given
+// as markup to the end of the prolog. The XML declaration replaces
+// `declaration`. Malformed markup is a `UXMLSyntaxError`. */
+addPi (markup) {
+  if (typeof markup !== "string") {
+    throw new TypeError();
+  }
 
-          pi.push ('<?' + o + input.substring (p, pos) + '?>');
-          ++pos;
+  const doc = UXML.parse (markup + "<_/>", {document: true, strict: true});
 
-          return true;
-        } else if (!string && chr === chrGT) {
-          if (!x) {
-            return false;
-          }
+  if (doc.declaration !== null) {
+    this.declaration = doc.declaration;
+  }
 
-          pi.push ('<!' + o + input.substring (p, pos));
+  this.prolog.push (...doc.prolog);
 
-          return true;
-        }
+  return this;
+}
 
-        if (++pos === len) {
-          return false;
-        }
+/* ===--------------------------------------------------------------------------
+// All the top-level nodes in the document order */
+*nodes() {
+  yield* this.prolog;
+  yield this.root;
+  yield* this.epilog;
+}
 
-        chr = input.charCodeAt(pos);
-      } while (chr > 32);
+/* ===--------------------------------------------------------------------------
+// Copy the whole document */
+clone() {
+  const doc = new UXMLDocument(this.root.clone (true));
+
+  if (this.declaration !== null) {
+    doc.declaration = Object.assign ({}, this.declaration);
+  }
+
+  doc.prolog.push (...this.prolog.map ((node) => node.clone (true)));
+  doc.epilog.push (...this.epilog.map ((node) => node.clone (true)));
+
+  return doc;
+}
+
+/* ===--------------------------------------------------------------------------
+// Compare the documents like the nodes, the XML declaration included */
+isEqual (other, opts=UXML.defEqualOpts) {
+  if (!(other instanceof UXMLDocument)) {
+    return false;
+  }
+
+  opts = Object.assign ({}, UXML.defEqualOpts, opts);
+
+  const decl = this.declaration || {};
+  const otherDecl = other.declaration || {};
+
+  for (let key of ["version", "encoding", "standalone"]) {
+    if ((decl[key] || null) !== (otherDecl[key] || null)) return false;
+  }
+
+  const nodes = UXMLNode.significant (this.nodes(), opts);
+  const others = UXMLNode.significant (other.nodes(), opts);
+
+  return nodes.length === others.length
+  && nodes.every ((node, idx) => node.$isEqual (others[idx], opts));
+}
+
+/* ===--------------------------------------------------------------------------
+// Copy the node from another document (or another place in this one)
+// to be inserted here. The tag namespaces are resolved where
+// the node comes from, so they stay the same in the new place,
+// and the prefixes declared around it are declared on the copy. */
+importNode (node, deep=true) {
+  if (!(node instanceof UXMLNode) || node.type === UXML.nodeType.nul) {
+    throw new TypeError();
+  }
+
+  const copy = node.clone (deep);
+
+  /* Prefixes (`""` for the default namespace) the copy
+  // uses without declaring them itself */
+  const decls = new Map();
+
+  const use = (prefix, uri, declared) => {
+    if (declared.has (prefix) || decls.has (prefix)) return;
+    if (UXML.nsURI.hasOwnProperty (prefix) || uri === null) return;
+    decls.set (prefix, uri);
+  };
+
+  const resolve = (from, to, declared) => {
+    if (from.type !== UXML.nodeType.tag) return;
+    to.$uri = from.namespaceURI;
+
+    declared = new Set(declared);
+
+    for (let [attr] of from.attributes) {
+      if (attr === "xmlns") declared.add ("");
+      else if (attr.startsWith ("xmlns:")) declared.add (attr.substring (6));
+    }
+
+    use (from.prefix || "", to.$uri, declared);
+
+    for (let [attr] of from.attributes) {
+      const sep = attr.indexOf (':');
+
+      if (sep !== -1) {
+        use (attr.substring (0, sep), from.attributeNamespaceURI (attr)
+        , declared);
+      }
+    }
+
+    for (let sub = from.firstNode, subCopy = to.firstNode; subCopy !== null;
+    sub = sub.nextNode, subCopy = subCopy.nextNode) {
+      resolve (sub, subCopy, declared);
+    }
+  };
+
+  resolve (node, copy, new Set());
+
+  for (let [prefix, uri] of decls) {
+    copy.attributes.set (prefix ? "xmlns:" + prefix : "xmlns", uri);
+  }
+
+  return copy;
+}
+
+/* ===--------------------------------------------------------------------------
+// Node factories */
+static newTagNode (name, attrs=undefined) {
+  return new UXMLNode(UXML.nodeType.tag, name, attrs);
+}
+
+static newTagNodeNS (uri, name, attrs=undefined) {
+  const node = new UXMLNode(UXML.nodeType.tag, name, attrs);
+  node.$uri = uri || null;
+  return node;
+}
+
+static newTextNode (value) {
+  return new UXMLNode(UXML.nodeType.text, value);
+}
+
+static newCdataNode (value) {
+  return new UXMLNode(UXML.nodeType.cdata, value);
+}
+
+static newCommentNode (value) {
+  return new UXMLNode(UXML.nodeType.comment, value);
+}
+
+static newPiNode (target, data="") {
+  return new UXMLNode(UXML.nodeType.pi, target, data);
+}
+
+static newDoctypeNode (name, publicId=null, systemId=null
+, internalSubset=null) {
+  return new UXMLNode(UXML.nodeType.doctype, name, {
+    publicId: publicId,
+    systemId: systemId,
+    internalSubset: internalSubset
+  });
+}}
+
+Object.defineProperties (UXMLDocument, {
+  beginning: {value: '<?xml version="1.0" encoding="utf-8"?>'}
+});
+
+/* =============================================================================
+// Errors
+// -------------------------------------------------------------------------- */
+
+class UXMLSyntaxError extends SyntaxError {
+get [Symbol.toStringTag]() {
+  return "UXMLSyntaxError";
+}
+
+/* ===--------------------------------------------------------------------------
+// `info` may carry `expected` and `found` token descriptions,
+// and the stack of `[name, offset]` pairs of the currently open tags.
+// When the input is only a part of a larger stream, `info.origin`
+// tells the `offset`, `line` and `column` of the character
+// at `origin.index`; the open tags then carry their
+// own `[name, offset, line, column]`. */
+constructor (reason, input, offset, info={}) {
+  const origin = info.origin;
+  const loc = UXMLSyntaxError.locate (input, offset, origin);
+  const excerpt = UXMLSyntaxError.excerpt (input, offset);
+
+  super (loc.line + ':' + loc.column + ": " + reason
+  + (excerpt.length !== 0 ? '\n' + excerpt : ''));
+
+  this.reason = reason;
+  this.offset = origin ? origin.offset + offset - origin.index : offset;
+  this.line = loc.line;
+  this.column = loc.column;
+  this.expected = (info.expected !== undefined) ? info.expected : null;
+  this.found = (info.found !== undefined) ? info.found
+  : UXMLSyntaxError.describe (input, offset);
+  this.openTags = (info.openTags || []).map ((tag) => (tag.length > 2)
+    ? {name: tag[0], offset: tag[1], line: tag[2], column: tag[3]}
+    : Object.assign ({name: tag[0], offset: tag[1]},
+      UXMLSyntaxError.locate (input, tag[1])));
+  this.excerpt = excerpt;
+}
+
+/* ===--------------------------------------------------------------------------
+// Compute one-based line and column numbers of the offset */
+static locate (input, offset, origin=undefined) {
+  let line = 1;
+  let from = 0;
+  let idx;
+
+  if (origin === undefined) {
+    idx = input.indexOf ('\n');
+  } else {
+    /* Count from the known position instead */
+    line = origin.line;
+    from = origin.index - origin.column + 1;
+    idx = input.indexOf ('\n', origin.index);
+  }
+
+  while (idx !== -1 && idx < offset) {
+    ++line;
+    from = idx + 1;
+    idx = input.indexOf ('\n', from);
+  }
+
+  return {line: line, column: offset - from + 1};
+}
+
+/* ===--------------------------------------------------------------------------
+// Source line with a caret pointing at the offset */
+static excerpt (input, offset) {
+  let from = input.lastIndexOf ('\n', offset - 1) + 1;
+  let to = input.indexOf ('\n', offset);
+  if (to === -1) to = input.length;
+  if (input.charCodeAt(to - 1) === 13) --to;
+
+  /* Don't dump an entire minified document */
+  const width = 80;
+
+  if (to - from > width) {
+    from = Math.max (from, Math.min (offset - (width >> 1), to - width));
+    to = Math.min (to, from + width);
+  }
+
+  const line = input.substring (from, to);
+
+  if (line.trim().length === 0) {
+    return "";
+  }
+
+  /* Keep tabs so that the caret lines up */
+  const pad = input.substring (from, Math.min (offset, to))
+  .replace (/[^\t]/g, ' ');
+
+  return line + '\n' + pad + '^';
+}
+
+/* ===--------------------------------------------------------------------------
+// Human-readable description of whatever is found at the offset */
+static describe (input, offset) {
+  if (offset >= input.length) {
+    return "end of input";
+  }
+
+  return JSON.stringify (String.fromCodePoint (input.codePointAt(offset)));
+}}
+
+Object.defineProperties (UXMLSyntaxError.prototype, {
+  name: {value: "UXMLSyntaxError", writable: true, configurable: true}
+});
+
+/* =============================================================================
+// Parser
+// -------------------------------------------------------------------------- */
+
+class UXMLParser {
+get [Symbol.toStringTag]() {
+  return "UXMLParser";
+}
+
+/* ===--------------------------------------------------------------------------
+// Process XML entities into their character equivalents.
+// Entities other than the predefined ones are looked up
+// in the `entities` option (an object, or a function returning
+// `undefined` for unknown names), and the unknown ones are handled
+// according to the `unknownEntities` option: "text" (also "keep"),
+// "drop", or "error" (the latter is the default in strict mode, which
+// also validates names and referenced code points). Malformed references
+// raise `UXMLSyntaxError` with the offset relative to the input string.
+// In the `html` mode the ampersands not starting a reference are taken
+// literally.
+// The `refs` array, if given, receives the `[from, to]` ranges
+// of the expansions in the output. */
+static unescape (input, opts=UXML.defParseOpts, refs=null) {
+  let out = "";
+  let from = 0;
+  let idx = input.indexOf ('&');
+  const len = input.length;
+
+  while (true) {
+    if (idx === -1) {
+      out += input.substring (from);
+      return out;
+    }
+
+    const escStart = idx;
+    out += input.substring (from, idx);
+
+    if (opts.html) {
+      /* HTML: the ampersand not starting a reference is just a character */
+      const regex = UXML.pattern.htmlRef;
+      regex.lastIndex = idx + 1;
+
+      if (!regex.test (input)) {
+        from = idx;
+        idx = input.indexOf ('&', idx + 1);
+        continue;
+      }
+    }
+
+    idx = input.indexOf (';', ++idx);
+
+    if (idx === -1) {
+      throw new UXMLSyntaxError("Unterminated entity reference"
+      , input, escStart, {expected: '";"'
+      , found: JSON.stringify (input.substring (escStart).split (/[\s<]/)[0])});
+    }
+
+    const ent = input.substring (escStart + 1, idx++);
+
+    if (ent[0] === '#') {
+      let codep;
+
+      if (ent[1] === 'x' || (opts.html && ent[1] === 'X')) {
+        codep = parseInt (ent.substring (2), 16);
+      } else {
+        codep = parseInt (ent.substring (1), 10);
+      }
+
+      if (isNaN (codep) || (opts.strict && !UXML.pattern.charRef.test (ent))) {
+        throw new UXMLSyntaxError("Invalid character reference &" + ent + ';'
+        , input, escStart, {expected: "code point"
+        , found: JSON.stringify ('&' + ent + ';')});
+      }
+
+      if (codep > 0x10FFFF) {
+        throw new UXMLSyntaxError("Character reference &" + ent + ';'
+        + " is out of range", input, escStart
+        , {found: JSON.stringify ('&' + ent + ';')});
+      }
+
+      if (opts.strict && !UXML.isChar (codep)) {
+        throw new UXMLSyntaxError("Character reference &" + ent + ';'
+        + " is not a legal character", input, escStart
+        , {found: JSON.stringify ('&' + ent + ';')});
+      }
+
+      const chars = String.fromCodePoint (codep);
+      if (refs !== null) refs.push ([out.length, out.length + chars.length]);
+      out += chars;
+      from = idx;
+    } else {
+      from = idx;
+
+      if (opts.strict && UXMLParser.invalidNameAt (ent) !== -1) {
+        throw new UXMLSyntaxError("Invalid entity reference"
+        , input, escStart, {expected: "entity name and \";\""
+        , found: JSON.stringify ('&' + ent + ';')});
+      }
+
+      const at = out.length;
+
+      switch (ent) {
+      case "lt":   out += '<';  break;
+      case "gt":   out += '>';  break;
+      case "quot": out += '"';  break;
+      case "apos": out += '\''; break;
+      case "amp":  out += '&';  break;
+      default: {
+        let value;
+
+        /* Resolvers signal the failed expansion with `RangeError` */
+        try {
+          value = UXMLParser.entity (ent, opts.entities);
+        } catch (err) {
+          if (!(err instanceof RangeError)) throw err;
+
+          throw new UXMLSyntaxError(err.message, input, escStart
+          , {found: JSON.stringify ('&' + ent + ';')});
+        }
+
+        if (value !== undefined) {
+          out += value;
+        } else if (opts.unknownEntities === "error"
+        || (opts.strict && !opts.unknownEntities)) {
+          throw new UXMLSyntaxError("Unknown entity &" + ent + ';'
+          , input, escStart, {found: JSON.stringify ('&' + ent + ';')});
+        } else if (opts.unknownEntities !== "drop") {
+          from = escStart;
+        }
+      }}
+
+      if (refs !== null && out.length !== at) refs.push ([at, out.length]);
+    }
+
+    idx = input.indexOf ('&', idx);
+  }
+}
+
+/* ===--------------------------------------------------------------------------
+// Make sure there are only legal XML characters between `from` and `to` */
+static checkChars (input, from, to) {
+  const match = UXML.pattern.illegal.exec (input.substring (from, to));
+
+  if (match !== null) {
+    const codep = match[0].codePointAt(0);
+
+    throw new UXMLSyntaxError("Illegal character U+" + codep.toString (16)
+    .toUpperCase().padStart (4, '0'), input, from + match.index);
+  }
+}
+
+/* ===--------------------------------------------------------------------------
+// Offset of the first character breaking the XML `Name` production,
+// or -1 if the name is valid */
+static invalidNameAt (name) {
+  let idx = 0;
+
+  for (let chr of name) {
+    const regex = (idx === 0) ? UXML.pattern.nameStart : UXML.pattern.nameChar;
+    if (!regex.test (chr)) return idx;
+    idx += chr.length;
+  }
+
+  return (name.length === 0) ? 0 : -1;
+}
+
+/* ===--------------------------------------------------------------------------
+// Look up the entity in the object or with the function */
+static entity (name, entities) {
+  if (typeof entities === "function") {
+    const value = entities (name);
+    return (value === null) ? undefined : value;
+  }
+
+  if (entities && Object.prototype.hasOwnProperty.call (entities, name)) {
+    return entities[name];
+  }
+
+  return undefined;
+}
+
+/* ===--------------------------------------------------------------------------
+// Whitespace normalization keeps all the ampersands, so the source
+// offset of the failing reference in the normalized text can be found */
+static refOffset (text, offset, input, from) {
+  let amps = 0;
+  let at = from - 1;
+
+  for (let idx = 0; idx !== offset; ++idx) {
+    if (text.charCodeAt(idx) === 38/* & */) ++amps;
+  }
+
+  do at = input.indexOf ('&', at + 1); while (amps-- !== 0);
+
+  return at;
+}
+
+/* ===--------------------------------------------------------------------------
+// Scan the processing instruction starting at `<?`.
+// Returns `[target, data, end]` with `end` past the closing `?>`,
+// or `null` if the input ends first. The `strict` mode checks
+// the target name and reserves the `XML` targets in other cases. */
+static scanPi (input, pos, strict=false) {
+  const len = input.length;
+  const from = pos + 2;
+  let idx = from;
+
+  while (idx !== len) {
+    const chr = input.charCodeAt(idx);
+    if (chr <= 32 || chr === 63/* ? */) break;
+
+    if (chr < 128 && !UXML.nameChars (strict)[toInteger(idx === from)][chr]) {
+      throw new UXMLSyntaxError("Invalid character in processing"
+      + " instruction target", input, idx);
+    }
+
+    ++idx;
+  }
+
+  const end = input.indexOf ("?>", idx);
+
+  if (end === -1) {
+    return null;
+  }
+
+  if (idx === from) {
+    throw new UXMLSyntaxError("Missing processing instruction target"
+    , input, idx, {expected: "name"
+    , found: UXMLSyntaxError.describe (input, idx)});
+  }
+
+  if (idx !== end && input.charCodeAt(idx) > 32) {
+    throw new UXMLSyntaxError("Unexpected '?' in processing instruction"
+    , input, idx, {expected: '"?>"'});
+  }
+
+  const target = input.substring (from, idx);
+
+  if (strict) {
+    const bad = UXMLParser.invalidNameAt (target);
+
+    if (bad !== -1) {
+      throw new UXMLSyntaxError("Invalid character in processing"
+      + " instruction target", input, from + bad);
+    }
+
+    if (target !== "xml" && target.toLowerCase() === "xml") {
+      throw new UXMLSyntaxError("Reserved processing instruction target "
+      + target, input, from);
+    }
+  }
+
+  while (idx !== end && input.charCodeAt(idx) <= 32) ++idx;
+
+  return [target, input.substring (idx, end), end + 2];
+}
+
+/* ===--------------------------------------------------------------------------
+// Scan the document type declaration starting at `<!`.
+// Returns `[name, publicId, systemId, internalSubset, end]`
+// with `end` past the closing `>`, or `null` if the input ends first.
+// The internal subset is kept as is. The `strict` mode checks the name. */
+static scanDoctype (input, pos, strict=false, html=false) {
+  const len = input.length;
+  const keyword = "<!DOCTYPE";
+  let idx = pos + keyword.length;
+
+  const fail = (reason, expected) => {
+    throw new UXMLSyntaxError(reason, input, idx, {
+      expected: expected,
+      found: UXMLSyntaxError.describe (input, idx)
+    });
+  };
+
+  const space = (required) => {
+    const start = idx;
+    while (idx !== len && input.charCodeAt(idx) <= 32) ++idx;
+
+    if (required && idx === start && idx !== len) {
+      fail ("Expected whitespace in document type declaration"
+      , "whitespace");
+    }
+
+    return idx !== len;
+  };
+
+  const literal = () => {
+    const quote = input[idx];
+
+    if (quote !== '"' && quote !== "'") {
+      fail ("Expected quoted literal in document type declaration"
+      , "quotation mark");
+    }
+
+    const end = input.indexOf (quote, idx + 1);
+    if (end === -1) return null;
+    const str = input.substring (idx + 1, end);
+    idx = end + 1;
+
+    return str;
+  };
+
+  /* HTML is case-insensitive */
+  const found = html ? input.substring (pos, idx).toUpperCase()
+  : input.substring (pos, idx);
+
+  if (found !== keyword) {
+    if (keyword.startsWith (found)) return null;
+    idx = pos;
+    fail ("Unknown markup declaration", '"' + keyword + '"');
+  }
+
+  if (!space (true)) return null;
+
+  /* Root element name */
+  const from = idx;
+
+  while (idx !== len) {
+    const chr = input.charCodeAt(idx);
+    if (chr <= 32 || chr === 91/* [ */ || chr === 62/* > */) break;
+
+    if (chr !== 58/* : */ && chr < 128
+    && !UXML.nameChars (strict)[toInteger(idx === from)][chr]) {
+      fail ("Invalid character in document type name");
+    }
+
+    ++idx;
+  }
+
+  if (idx === len) return null;
+  if (idx === from) fail ("Missing document type name", "name");
+
+  const name = input.substring (from, idx);
+
+  if (strict && UXMLParser.invalidNameAt (name) !== -1) {
+    idx = from + UXMLParser.invalidNameAt (name);
+    fail ("Invalid character in document type name");
+  }
+
+  let publicId = null;
+  let systemId = null;
+  let subset = null;
+
+  if (!space (false)) return null;
+
+  /* External identifier */
+  for (let kind of ["PUBLIC", "SYSTEM"]) {
+    if (!input.startsWith (kind, idx)) {
+      if (len - idx < kind.length && kind.startsWith (input.substring (idx))) {
+        return null;
+      }
+
+      continue;
+    }
+
+    idx += kind.length;
+    if (!space (true)) return null;
+
+    if (kind === "PUBLIC") {
+      if ((publicId = literal()) === null) return null;
+      if (!space (true)) return null;
+    }
+
+    if ((systemId = literal()) === null) return null;
+    if (!space (false)) return null;
+    break;
+  }
+
+  /* Internal subset, up to the closing bracket
+  // outside of literals and comments */
+  if (input[idx] === '[') {
+    const start = ++idx;
+
+    while (true) {
+      if (idx === len) return null;
+      const chr = input[idx];
+
+      if (chr === ']') break;
+
+      if (chr === '"' || chr === "'") {
+        idx = input.indexOf (chr, idx + 1);
+        if (idx === -1) return null;
+      } else if (input.startsWith ("<!--", idx)) {
+        idx = input.indexOf ("-->", idx + 4);
+        if (idx === -1) return null;
+        idx += 2;
+      }
+
+      ++idx;
+    }
+
+    subset = input.substring (start, idx++);
+    if (!space (false)) return null;
+  }
+
+  if (input[idx] !== '>') {
+    fail ("Unexpected character in document type declaration", '">"');
+  }
+
+  return [name, publicId, systemId, subset, idx + 1];
+}
+
+/* ===--------------------------------------------------------------------------
+// Parse the pseudo-attributes of the XML declaration
+// like `version="1.0" encoding="utf-8" standalone="yes"`
+// into `{version, encoding, standalone}`. The `strict` mode
+// requires the version and the standard order. */
+static parseDeclaration (input, from, to, strict=false) {
+  const decl = {version: null, encoding: null, standalone: null};
+  const regex = UXML.pattern.pseudoAttr;
+  const str = input.substring (from, to);
+  regex.lastIndex = 0;
+
+  while (regex.lastIndex !== str.length) {
+    const at = from + regex.lastIndex;
+    const match = regex.exec (str);
+
+    if (match === null || !decl.hasOwnProperty (match[1])) {
+      throw new UXMLSyntaxError("Malformed XML declaration", input, at
+      , {expected: "version, encoding, or standalone"});
+    }
+
+    if (decl[match[1]] !== null) {
+      throw new UXMLSyntaxError("Duplicate " + match[1]
+      + " in XML declaration", input, at);
+    }
+
+    /* The version comes first and the encoding precedes `standalone` */
+    if (strict && ((match[1] !== "version" && decl.version === null)
+    || (match[1] === "encoding" && decl.standalone !== null))) {
+      throw new UXMLSyntaxError("Misplaced " + match[1]
+      + " in XML declaration", input, at, {expected: (decl.version === null)
+      ? "version" : "end of declaration"});
+    }
+
+    decl[match[1]] = match[2].substring (1, match[2].length - 1);
+  }
+
+  if (decl.standalone !== null) {
+    if (decl.standalone !== "yes" && decl.standalone !== "no") {
+      throw new UXMLSyntaxError("Invalid standalone value in XML declaration"
+      , input, from, {expected: '"yes" or "no"'
+      , found: JSON.stringify (decl.standalone)});
+    }
+
+    decl.standalone = decl.standalone === "yes";
+  }
+
+  if (strict && decl.version === null) {
+    throw new UXMLSyntaxError("Missing version in XML declaration"
+    , input, from, {expected: "version"});
+  }
+
+  return decl;
+}
+
+/* ===--------------------------------------------------------------------------
+// Decode the bytes of the document into `{text, encoding, bom}` */
+static decode (bytes, strict=false) {
+  if (bytes instanceof ArrayBuffer) {
+    bytes = new Uint8Array(bytes);
+  }
+
+  if (!(bytes instanceof Uint8Array)) {
+    throw new TypeError("Expected Uint8Array or ArrayBuffer");
+  }
+
+  const {encoding, skip} = UXMLParser.detect (bytes, strict);
+  const body = bytes.subarray (skip);
+  const label = (encoding === "us-ascii") ? "utf-8" : encoding;
+  let text;
+
+  try {
+    text = new TextDecoder(label, {fatal: true, ignoreBOM: true})
+    .decode (body);
+
+    if (encoding === "us-ascii" && UXML.pattern.nonAscii.test (text)) {
+      throw new TypeError();
+    }
+  } catch (err) {
+    if (!(err instanceof TypeError)) throw err;
+
+    /* Point at the first character that didn't decode */
+    text = new TextDecoder(label, {ignoreBOM: true}).decode (body);
+    const idx = text.search ((encoding === "us-ascii")
+    ? UXML.pattern.nonAscii : /\uFFFD/);
+
+    throw new UXMLSyntaxError("Invalid " + encoding.toUpperCase()
+    + " byte sequence", text, Math.max (idx, 0));
+  }
+
+  return {text: text, encoding: encoding, bom: skip !== 0};
+}
+
+/* ===--------------------------------------------------------------------------
+// Find out the encoding from the leading bytes of the document.
+// The byte order mark (or the UTF-16 layout of the first character)
+// decides between UTF-8 and UTF-16, and then the encoding
+// declared in the XML declaration must agree with it.
+// Returns `{encoding, skip}` with the length of the byte order mark. */
+static detect (bytes, strict=false) {
+  const [b0, b1, b2, b3] = bytes;
+  let family = "utf-8";
+  let skip = 0;
+
+  if ((b0 === 0xFF && b1 === 0xFE && b2 === 0 && b3 === 0)
+  || (b0 === 0 && b1 === 0 && b2 === 0xFE && b3 === 0xFF)) {
+    throw new UXMLSyntaxError("Unsupported encoding UTF-32", "", 0);
+  } else if (b0 === 0xEF && b1 === 0xBB && b2 === 0xBF) {
+    skip = 3;
+  } else if (b0 === 0xFF && b1 === 0xFE) {
+    family = "utf-16le";
+    skip = 2;
+  } else if (b0 === 0xFE && b1 === 0xFF) {
+    family = "utf-16be";
+    skip = 2;
+  } else if (b0 !== 0 && b1 === 0) {
+    family = "utf-16le";
+  } else if (b0 === 0 && b1 !== undefined && b1 !== 0) {
+    family = "utf-16be";
+  }
+
+  const body = bytes.subarray (skip);
+  const bom = skip !== 0;
+
+  /* The declaration is ASCII, so any ASCII-compatible
+  // encoding will do to read it */
+  const head = (family === "utf-8")
+  ? String.fromCharCode (...body.subarray (0, 1024))
+  : new TextDecoder(family, {ignoreBOM: true}).decode (body.subarray (0
+  , 2048));
+
+  const begin = head.search (/[^\t\n\r\x20]|$/);
+  let declared = null;
+  let at = begin;
+
+  if (head.startsWith ("<?xml", begin)
+  && UXML.pattern.declStart.test (head.substring (begin + 5, begin + 6))) {
+    const res = UXMLParser.scanPi (head, begin, strict);
+
+    if (res !== null) {
+      const end = res[2] - 2;
+
+      declared = UXMLParser.parseDeclaration (head, end - res[1].length, end
+      , strict).encoding;
+      at = Math.max (head.indexOf ("encoding", begin), begin);
+    }
+  }
+
+  /* What the declared encoding is, and what it may be given the bytes */
+  let encoding = (family === "utf-8") ? "utf-8" : family;
+
+  if (declared !== null) {
+    const name = UXML.encodings[declared.toLowerCase()];
+
+    if (name === undefined) {
+      throw new UXMLSyntaxError("Unsupported encoding " + declared, head, at
+      , {expected: "UTF-8, UTF-16, or ISO-8859-1"
+      , found: JSON.stringify (declared)});
+    }
+
+    const allowed = (family !== "utf-8") ? ["utf-16", family]
+    : bom ? ["utf-8"] : ["utf-8", "us-ascii", "iso-8859-1"];
+
+    if (!allowed.includes (name)) {
+      throw new UXMLSyntaxError("Declared encoding " + declared
+      + " does not match the " + (bom ? "byte order mark" : "document bytes")
+      , head, at, {expected: family.toUpperCase()
+      , found: JSON.stringify (declared)});
+    }
+
+    if (family === "utf-8") encoding = name;
+  }
+
+  return {encoding: encoding, skip: skip};
+}
+
+/* ===--------------------------------------------------------------------------
+// Parse the internal subset of the document type declaration
+// between `from` and `to`. Internal general entities and attribute
+// default values are collected as `[value, offset]` pairs:
+// `{entities: Map(name), attributes: Map(tag, Map(name))}`.
+// Element and notation declarations, parameter entities,
+// and external entities are recognized, but skipped. */
+static parseSubset (input, from, to, strict=false) {
+  const entities = new Map();
+  const attributes = new Map();
+  let idx = from;
+
+  const fail = (reason, expected=undefined) => {
+    throw new UXMLSyntaxError(reason, input, idx, {
+      expected: expected,
+      found: (idx >= to) ? "end of internal subset"
+      : UXMLSyntaxError.describe (input, idx)
+    });
+  };
+
+  const space = (required, what) => {
+    const start = idx;
+    while (idx < to && input.charCodeAt(idx) <= 32) ++idx;
+
+    if (required && idx === start) {
+      fail ("Expected whitespace in " + what, "whitespace");
+    }
+  };
+
+  const name = (what) => {
+    const start = idx;
+
+    while (idx < to) {
+      const chr = input.charCodeAt(idx);
+
+      if (chr !== 58/* : */ && chr < 128
+      && !UXML.nameChars (strict)[toInteger(idx === start)][chr]) {
+        break;
+      }
+
+      ++idx;
+    }
+
+    if (idx === start) {
+      fail ("Expected " + what, "name");
+    }
+
+    return input.substring (start, idx);
+  };
+
+  const literal = (what) => {
+    const quote = input[idx];
+
+    if (quote !== '"' && quote !== "'") {
+      fail ("Expected quoted " + what, "quotation mark");
+    }
+
+    const end = input.indexOf (quote, idx + 1);
+
+    if (end === -1 || end >= to) {
+      fail ("Unterminated " + what, JSON.stringify (quote));
+    }
+
+    const ret = [input.substring (idx + 1, end), idx + 1];
+    idx = end + 1;
+
+    return ret;
+  };
+
+  const close = (what) => {
+    space (false);
+
+    if (input[idx] !== '>' || idx >= to) {
+      fail ("Unterminated " + what + " declaration", '">"');
+    }
+
+    ++idx;
+  };
+
+  const keyword = (word) => {
+    if (!input.startsWith (word, idx)) return false;
+    idx += word.length;
+    return true;
+  };
+
+  const externalId = (what) => {
+    if (keyword ("PUBLIC")) {
+      space (true, what);
+      literal ("public identifier");
+      space (true, what);
+      literal ("system identifier");
+      return true;
+    }
+
+    if (keyword ("SYSTEM")) {
+      space (true, what);
+      literal ("system identifier");
+      return true;
+    }
+
+    return false;
+  };
+
+  /* <!ENTITY [%] name ("value" | ExternalID [NDATA name])> */
+  const entity = () => {
+    const what = "<!ENTITY";
+    space (true, what);
+    const param = keyword ("%");
+    if (param) space (true, what);
+    const ent = name ("entity name");
+    space (true, what);
+
+    if (externalId (what)) {
+      space (false);
+
+      if (!param && keyword ("NDATA")) {
+        space (true, what);
+        name ("notation name");
+      }
+    } else {
+      const value = literal ("entity value");
+
+      /* The first declaration is binding */
+      if (!param && !entities.has (ent)) {
+        entities.set (ent, value);
+      }
+    }
+
+    close (what);
+  };
+
+  /* <!ATTLIST tag (name type default)*> */
+  const attlist = () => {
+    const what = "<!ATTLIST";
+    space (true, what);
+    const tag = name ("element name");
+    let attrs = attributes.get (tag);
+
+    if (attrs === undefined) {
+      attrs = new Map();
+      attributes.set (tag, attrs);
+    }
+
+    while (true) {
+      space (false);
+      if (input[idx] === '>' || idx >= to) break;
+      const attr = name ("attribute name");
+      space (true, what);
+
+      /* Attribute type */
+      if (keyword ("NOTATION")) {
+        space (true, what);
+      }
+
+      if (input[idx] === '(') {
+        const end = input.indexOf (')', idx);
+
+        if (end === -1 || end >= to) {
+          fail ("Unterminated enumeration in " + what, '")"');
+        }
+
+        idx = end + 1;
+      } else {
+        const at = idx;
+
+        if (!UXMLParser.attrTypes.includes (name ("attribute type"))) {
+          idx = at;
+          fail ("Unknown attribute type in " + what);
+        }
+      }
+
+      space (true, what);
+
+      /* Default value */
+      if (keyword ("#REQUIRED") || keyword ("#IMPLIED")) {
+        continue;
+      }
+
+      if (keyword ("#FIXED")) {
+        space (true, what);
+      }
+
+      const value = literal ("attribute default value");
+
+      if (!attrs.has (attr)) {
+        attrs.set (attr, value);
+      }
+    }
+
+    close (what);
+  };
+
+  /* Skip the declaration, minding the quoted literals */
+  const skip = (what) => {
+    while (idx < to && input[idx] !== '>') {
+      if (input[idx] === '"' || input[idx] === "'") literal ("literal");
+      else ++idx;
+    }
+
+    close (what);
+  };
+
+  while (true) {
+    space (false);
+    if (idx >= to) break;
+
+    if (keyword ("<!--")) {
+      const end = input.indexOf ("-->", idx);
+      if (end === -1 || end >= to) fail ("Unterminated comment", '"-->"');
+      idx = end + 3;
+    } else if (keyword ("<?")) {
+      const end = input.indexOf ("?>", idx);
+
+      if (end === -1 || end >= to) {
+        fail ("Unterminated processing instruction", '"?>"');
+      }
+
+      idx = end + 2;
+    } else if (keyword ("%")) {
+      /* Parameter entity reference */
+      name ("parameter entity name");
+      if (input[idx] !== ';') fail ("Unterminated entity reference", '";"');
+      ++idx;
+    } else if (keyword ("<!ENTITY")) {
+      entity();
+    } else if (keyword ("<!ATTLIST")) {
+      attlist();
+    } else if (keyword ("<!ELEMENT")) {
+      skip ("<!ELEMENT");
+    } else if (keyword ("<!NOTATION")) {
+      skip ("<!NOTATION");
+    } else {
+      fail ("Invalid markup in the internal subset", "markup declaration");
+    }
+  }
+
+  return {entities: entities, attributes: attributes};
+}
+
+/* ===--------------------------------------------------------------------------
+// Entities declared in the document type. The replacement text
+// is treated as character data: the references inside of it
+// are expanded recursively when the entity is first used, and
+// the total amount of the expanded text is limited by the
+// `maxEntityExpansion` option. Anything else is looked up
+// in the `entities` option. */
+static entityResolver (declared, opts) {
+  const limit = (opts.maxEntityExpansion !== undefined)
+  ? opts.maxEntityExpansion : UXML.defParseOpts.maxEntityExpansion;
+  const nested = Object.assign ({}, opts);
+  const cache = new Map();
+  const active = new Set();
+  let budget = limit;
+
+  const resolve = (name) => {
+    if (!declared.has (name)) {
+      return UXMLParser.entity (name, opts.entities);
+    }
+
+    let value = cache.get (name);
+
+    if (value === undefined) {
+      if (active.has (name)) {
+        throw new RangeError("Recursive reference to entity &" + name + ';');
+      }
+
+      active.add (name);
+
+      try {
+        value = UXMLParser.unescape (declared.get (name)[0], nested);
+      } catch (err) {
+        if (!(err instanceof UXMLSyntaxError)) throw err;
+        throw new RangeError(err.reason + " in entity &" + name + ';');
+      } finally {
+        active.delete (name);
+      }
+
+      cache.set (name, value);
+    }
+
+    if ((budget -= value.length) < 0) {
+      throw new RangeError("Entity expansion limit of " + limit
+      + " characters exceeded");
+    }
+
+    return value;
+  };
+
+  nested.entities = resolve;
+
+  return resolve;
+}
+
+/* ===--------------------------------------------------------------------------
+// Interpret the internal subset between `from` and `to`.
+// Returns the parse options extended with the declared entities,
+// and the attribute defaults as `Map(tag, [[name, value]])`. */
+static internalSubset (input, from, to, opts) {
+  const dtd = UXMLParser.parseSubset (input, from, to, !!opts.strict);
+  const defaults = new Map();
+
+  opts = Object.assign ({}, opts, {
+    entities: UXMLParser.entityResolver (dtd.entities, opts)
+  });
+
+  for (let [tag, attrs] of dtd.attributes) {
+    const list = [];
+
+    for (let [attr, [value, at]] of attrs) {
+      let text = opts.preserveSpace ? value
+      : value.replace (UXML.pattern.wspace, ' ');
+
+      try {
+        text = UXMLParser.unescape (text, opts);
+      } catch (err) {
+        if (!(err instanceof UXMLSyntaxError)) throw err;
+
+        throw new UXMLSyntaxError(err.reason, input
+        , UXMLParser.refOffset (text, err.offset, input, at)
+        , {expected: err.expected, found: err.found});
+      }
+
+      list.push ([attr, text]);
+    }
+
+    defaults.set (tag, list);
+  }
+
+  return [opts, defaults];
+}
+
+/* ===--------------------------------------------------------------------------
+// Parse the document between `pos` and `len` building the node tree
+// (see `UXMLTreeBuilder`). Unless the document starts at the beginning
+// of the input, the parsing stops right after the root element.
+// `this.pos` tells where the parsing has stopped. Returns `null`
+// on failure, with the details in `this.error`. */
+parse (input, pos, len, opts=UXML.defParseOpts) {
+  const builder = new UXMLTreeBuilder(opts);
+  const parser = new UXMLPushParser(builder, opts);
+
+  this.error = null;
+
+  try {
+    parser.run (input, pos, len);
+  } catch (err) {
+    if (!(err instanceof UXMLSyntaxError)) throw err;
+    this.error = err;
+    return null;
+  }
+
+  this.pos = parser.offset;
+
+  return builder.result;
+}}
+
+Object.defineProperties (UXMLParser, {
+  attrTypes: {value: [
+    "CDATA", "ID", "IDREF", "IDREFS", "ENTITY", "ENTITIES",
+    "NMTOKEN", "NMTOKENS"
+  ]}
+});
+
+/* =============================================================================
+// Push parser
+// -------------------------------------------------------------------------- */
+
+/* ===--------------------------------------------------------------------------
+// The parser takes the markup in chunks of arbitrary size, and reports
+// it as a sequence of events instead of building the node tree.
+// Tokens split across chunk boundaries are buffered until they are
+// complete, so the memory consumption is bounded by the largest single
+// token rather than the whole input. The chunks may also be bytes,
+// which are decoded in the encoding detected from the first ones.
+//
+// The handler is a plain object with any of the following methods:
+//
+//   * `declaration (decl)`: the XML declaration parsed
+//     into `{version, encoding, standalone}`;
+//   * `doctype (name, publicId, systemId, internalSubset)`;
+//   * `pi (target, data)`: processing instruction;
+//   * `openTag (name, attrs, uri)`: attributes are passed as a `RadixTree`,
+//     and `uri` is the namespace of the tag (`namespaces` option only);
+//   * `closeTag (name)`: also reported for self-closing tags,
+//     and for the ones closed implicitly in the HTML mode;
+//   * `text (str, verbatim)`: entities are resolved, whitespace is kept
+//     intact, and one text node may be reported in several pieces.
+//     The expansions of references and the raw text of HTML scripts
+//     and styles come in separate `verbatim` pieces, which aren't subject
+//     to whitespace normalization;
+//   * `cdata (str)`, `comment (str)`;
+//   * `end ()`: the input is over.
+//
+// With the `locations` option the source range of the token is passed
+// to each of them (except `end`) as one more argument. The range
+// of the opening tag also has the `attributes` map, and the tags
+// without the closing ones are closed with the empty range.
+//
+// Comments and processing instructions are also reported before
+// and after the root element. Anything else past the root element
+// is an error in the strict and HTML modes, and otherwise ends
+// the parsing, with the rest of the input ignored. */
+class UXMLPushParser {
+get [Symbol.toStringTag]() {
+  return "UXMLPushParser";
+}
+
+constructor (handler, opts=UXML.defParseOpts) {
+  this.handler = handler;
+  this.opts = opts;
+
+  /* Unconsumed input and the position inside of it */
+  this.buffer = "";
+  this.pos = 0;
+
+  /* Absolute location of the current position,
+  // and there are no line breaks before `eol` */
+  this.offset = 0;
+  this.line = 1;
+  this.column = 1;
+  this.eol = 0;
+
+  /* Where to resume looking for the token terminator */
+  this.scan = 0;
+
+  /* Open tags as `[name, offset, line, column]` */
+  this.opened = [];
+  this.started = false;
+  this.finished = false;
+
+  /* Whole input given to `run()` past its beginning */
+  this.embedded = false;
+  this.start = 0;
+
+  /* Nothing but whitespace so far: the XML declaration must come first */
+  this.blank = true;
+  this.doctype = false;
+
+  /* Attribute defaults from the internal subset */
+  this.defaults = null;
+
+  /* Namespace bindings in scope, and the ones of the enclosing tags */
+  this.ns = Object.assign (Object.create (null), UXML.nsURI);
+  this.nsScopes = [];
+
+  /* HTML: the raw text tag being read */
+  this.raw = null;
+
+  /* Byte input: the leading bytes held until the encoding is known,
+  // and the decoder of the rest */
+  this.bytes = null;
+  this.decoder = null;
+  this.encoding = null;
+}
+
+/* ===--------------------------------------------------------------------------
+// Feed the next chunk of the input, either text or bytes */
+write (chunk) {
+  if (this.finished) {
+    /* The rest of the input is ignored */
+    return this;
+  }
+
+  if (typeof chunk !== "string") {
+    chunk = this.decode (chunk, false);
+  } else if (this.bytes !== null || this.decoder !== null) {
+    throw new TypeError("Text chunks can't follow the bytes");
+  }
+
+  /* The character before the chunk might be a part of a surrogate pair */
+  const from = this.buffer.length - 1;
+  this.buffer += chunk;
+  if (this.opts.strict) this.checkChars (from, false);
+
+  if (this.pos !== 0) {
+    this.buffer = this.buffer.substring (this.pos);
+    this.scan -= this.pos;
+    this.eol -= this.pos;
+    this.pos = 0;
+  }
+
+  this.process (false);
+
+  return this;
+}
+
+/* ===--------------------------------------------------------------------------
+// Signal the end of the input */
+end() {
+  if (!this.finished && (this.bytes !== null || this.decoder !== null)) {
+    /* Whatever the decoder holds is the last of the input */
+    const text = this.decode (new Uint8Array(0), true);
+    this.bytes = this.decoder = null;
+    this.write (text);
+  }
+
+  if (!this.finished && this.opts.strict) {
+    this.checkChars (this.buffer.length - 1, true);
+  }
+
+  return this.close();
+}
+
+/* ===--------------------------------------------------------------------------
+// Decode the byte chunk like `UXMLParser.decode()` does. The leading
+// bytes are held until the encoding can be told from them, which is
+// past the first `>` ending the XML declaration or the first tag.
+// Characters may be split between the chunks. */
+decode (chunk, last) {
+  if (chunk instanceof ArrayBuffer) {
+    chunk = new Uint8Array(chunk);
+  }
+
+  if (!(chunk instanceof Uint8Array)) {
+    throw new TypeError("Expected string, Uint8Array, or ArrayBuffer");
+  }
+
+  if (this.decoder === null) {
+    const held = this.bytes || new Uint8Array(0);
+    const bytes = new Uint8Array(held.length + chunk.length);
+
+    bytes.set (held);
+    bytes.set (chunk, held.length);
+
+    if (!last && bytes.indexOf (62/* > */) === -1 && bytes.length < 2048) {
+      this.bytes = bytes;
+      return "";
+    }
+
+    const {encoding, skip} = UXMLParser.detect (bytes, this.opts.strict);
+
+    this.bytes = null;
+    this.encoding = encoding;
+    this.decoder = new TextDecoder((encoding === "us-ascii") ? "utf-8"
+    : encoding, {fatal: true, ignoreBOM: true});
+    chunk = bytes.subarray (skip);
+  }
+
+  const ascii = this.encoding === "us-ascii";
+  let text;
+
+  try {
+    text = this.decoder.decode (chunk, {stream: !last});
+    if (ascii && UXML.pattern.nonAscii.test (text)) throw new TypeError();
+  } catch (err) {
+    if (!(err instanceof TypeError)) throw err;
+
+    /* Point at the first character of the chunk that didn't decode */
+    text = new TextDecoder(this.decoder.encoding, {ignoreBOM: true})
+    .decode (chunk);
+
+    const idx = text.search (ascii ? UXML.pattern.nonAscii : /\uFFFD/);
+    this.buffer += text;
+
+    this.fail ("Invalid " + this.encoding.toUpperCase() + " byte sequence"
+    , this.buffer.length - text.length + Math.max (idx, 0));
+  }
+
+  return text;
+}
+
+/* ===--------------------------------------------------------------------------
+// Parse the whole input between `pos` and `len` at once. The offsets
+// are those of the input, and the document starting past its beginning
+// ends with the root element: `this.offset` tells where. */
+run (input, pos, len) {
+  const loc = UXMLSyntaxError.locate (input, pos);
+
+  this.buffer = (len === input.length) ? input : input.substring (0, len);
+  this.pos = this.offset = this.start = this.scan = this.eol = pos;
+  this.line = loc.line;
+  this.column = loc.column;
+  this.embedded = pos !== 0;
+
+  if (this.opts.strict && !this.embedded) {
+    this.checkChars (pos, true);
+  }
+
+  return this.close();
+}
+
+/* Finish the parsing */
+close() {
+  if (!this.finished || this.embedded) {
+    this.process (true);
+
+    if (!this.started) {
+      this.fail ("No root element", this.buffer.length, '"<"');
+    }
+
+    if (this.opts.html) {
+      /* HTML: the end of input closes everything */
+      while (this.opened.length !== 0) this.endImplied (this.pos);
+    }
+
+    if (this.opened.length !== 0) {
+      const [name] = this.opened[this.opened.length - 1];
+
+      this.fail ("Unexpected end of input: " + this.openedAt()
+      + " is not closed", this.buffer.length, '"</' + name + '>"');
+    }
+
+    if (this.opts.strict && this.embedded) {
+      /* Only the part taken by the document is checked */
+      try {
+        UXMLParser.checkChars (this.buffer, this.start, this.pos);
+      } catch (err) {
+        if (!(err instanceof UXMLSyntaxError)) throw err;
+        this.fail (err.reason, err.offset);
+      }
+    }
+  }
+
+  this.buffer = "";
+  this.pos = this.scan = this.eol = 0;
+  this.finished = true;
+  this.emit ("end");
+
+  return this;
+}
+
+/* ===--------------------------------------------------------------------------
+// Report the event to the handler */
+emit (event, ...args) {
+  const func = this.handler[event];
+
+  if (typeof func === "function") {
+    func.apply (this.handler, args);
+  }
+}
+
+/* ===--------------------------------------------------------------------------
+// Errors are thrown right away */
+fail (reason, at, expected=undefined, found=undefined) {
+  /* The consumed input is gone once the buffer is trimmed */
+  const origin = (this.offset === this.pos) ? undefined : {
+    index: this.pos,
+    offset: this.offset,
+    line: this.line,
+    column: this.column
+  };
+
+  throw new UXMLSyntaxError(reason, this.buffer, at, {
+    expected: expected,
+    found: found,
+    openTags: this.opened.slice(),
+    origin: origin
+  });
+}
+
+/* ===--------------------------------------------------------------------------
+// Make sure the buffer has only legal characters starting at `from`;
+// surrogate pairs may be split between the chunks */
+checkChars (from, last) {
+  const buf = this.buffer;
+  let to = buf.length;
+
+  if (to === 0) {
+    return;
+  }
+
+  if (!last && (buf.charCodeAt(to - 1) & 0xFC00) === 0xD800) {
+    --to;
+  }
+
+  if (from > 0 && (buf.charCodeAt(from) & 0xFC00) === 0xDC00) {
+    --from;
+  }
+
+  try {
+    UXMLParser.checkChars (buf, Math.max (from, 0), to);
+  } catch (err) {
+    if (!(err instanceof UXMLSyntaxError)) throw err;
+    this.fail (err.reason, err.offset);
+  }
+}
+
+/* Report the first occurrence of `str` in the token starting at `from` */
+forbid (token, from, str, reason) {
+  const idx = token.indexOf (str);
+
+  if (idx !== -1) {
+    this.fail (reason, from + idx, undefined, JSON.stringify (str));
+  }
+}
+
+/* Check the whole name against the XML grammar in strict mode */
+checkName (name, from, what) {
+  const idx = UXMLParser.invalidNameAt (name);
+
+  if (idx !== -1) {
+    this.fail ("Invalid character in " + what, from + idx);
+  }
+}
+
+openedAt() {
+  const [name, , line, column] = this.opened[this.opened.length - 1];
+  return '<' + name + "> opened at " + line + ':' + column;
+}
+
+/* ===--------------------------------------------------------------------------
+// Move the current position forward, keeping track of lines */
+advance (to) {
+  const buf = this.buffer;
+  let eol = this.eol;
+  let last = -1;
+
+  while (true) {
+    if (eol === buf.length || buf.charCodeAt(eol) !== 10/* \n */) {
+      eol = buf.indexOf ('\n', eol);
+      if (eol === -1) eol = buf.length;
+    }
+
+    if (eol >= to) break;
+
+    ++this.line;
+    last = eol++;
+  }
+
+  this.column = (last === -1) ? this.column + to - this.pos : to - last;
+  this.offset += to - this.pos;
+  this.pos = to;
+  this.scan = to;
+  this.eol = eol;
+}
+
+/* ===--------------------------------------------------------------------------
+// Source range between the positions at or past the current one */
+range (from, to) {
+  const [line, column] = this.where (from);
+  const [endLine, endColumn] = this.where (to);
+
+  return {start: this.offset + from - this.pos, end: this.offset + to - this.pos
+  , line: line, column: column, endLine: endLine, endColumn: endColumn};
+}
+
+where (idx) {
+  const buf = this.buffer;
+  let line = this.line;
+  let column = this.column;
+
+  for (let at = this.pos; at !== idx; ++at) {
+    if (buf.charCodeAt(at) === 10/* \n */) {
+      ++line;
+      column = 1;
+    } else {
+      ++column;
+    }
+  }
+
+  return [line, column];
+}
+
+/* ===--------------------------------------------------------------------------
+// Find the end of a declaration or a tag, skipping quoted values */
+findClosing (from) {
+  const buf = this.buffer;
+  const len = buf.length;
+  let quote = 0;
+  let prev = 0;
+
+  for (let idx = from; idx !== len; ++idx) {
+    const chr = buf.charCodeAt(idx);
+
+    if (quote !== 0) {
+      if (chr === quote) quote = prev = 0;
+    } else if ((chr === 34/* " */ || chr === 39/* ' */) && prev === 61/* = */) {
+      quote = chr;
+    } else if (chr === 62/* > */) {
+      return idx;
+    } else if (chr > 32) {
+      prev = chr;
+    }
+  }
+
+  return -1;
+}
+
+/* ===--------------------------------------------------------------------------
+// Consume as many complete tokens as there are in the buffer */
+process (last) {
+  const buf = this.buffer;
+  const len = buf.length;
+
+  while (this.pos !== len && !this.finished) {
+    const pos = this.pos;
+
+    if (this.raw !== null) {
+      if (!this.processRaw (last)) return;
+      continue;
+    }
+
+    if (this.started && this.opened.length === 0) {
+      if (this.embedded) {
+        this.finished = true;
+        return;
+      }
+
+      if (!this.processEpilog (last)) return;
+      continue;
+    }
+
+    if (buf.charCodeAt(pos) !== 60/* < */) {
+      if (!this.processText (last)) return;
+      continue;
+    }
+
+    if (pos + 1 === len) {
+      if (!last) return;
+      this.fail ("Unexpected end of input in tag name", len);
+    }
+
+    const chr = buf.charCodeAt(pos + 1);
+
+    if (chr <= 32) {
+      /* Lone `<` is just a character */
+      if (!this.processText (last)) return;
+      continue;
+    }
+
+    if (chr === 47/* / */) {
+      if (!this.processClosing (last)) return;
+    } else if (chr === 33/* ! */) {
+      if (buf.startsWith ("<!--", pos)) {
+        if (!this.processSection ("-->", 4, last)) return;
+      } else if (buf.startsWith ("<![CDATA[", pos)) {
+        if (!this.processSection ("]]>", 9, last)) return;
+      } else if (!last && ("<![CDATA[".startsWith (buf.substring (pos, pos + 9))
+      || "<!--".startsWith (buf.substring (pos, pos + 4)))) {
+        /* Can't tell yet */
+        return;
+      } else {
+        if (!this.processPi (last)) return;
+      }
+    } else if (chr === 63/* ? */) {
+      if (!this.processPi (last)) return;
+    } else {
+      if (!this.processOpening (last)) return;
+    }
+  }
+}
+
+/* ===--------------------------------------------------------------------------
+// Text runs up to the next tag */
+processText (last) {
+  const buf = this.buffer;
+  const len = buf.length;
+  const pos = this.pos;
+  let end = Math.max (pos + 1, this.scan);
+  let complete = false;
+
+  while (true) {
+    end = buf.indexOf ('<', end);
+
+    if (end === -1) {
+      end = len;
+      break;
+    }
+
+    if (end + 1 === len) {
+      /* The tag name might follow */
+      complete = last;
+      if (!last) end = len;
+      break;
+    }
+
+    if (buf.charCodeAt(end + 1) > 32) {
+      complete = true;
+      break;
+    }
+
+    ++end;
+  }
+
+  if (!complete && !last) {
+    /* Hold back the incomplete entity reference and the lone `<` */
+    let cut = len;
+    if (buf.charCodeAt(len - 1) === 60/* < */) --cut;
+
+    if (this.opts.strict) {
+      /* The end of a CDATA section might follow */
+      while (cut !== pos && buf.charCodeAt(cut - 1) === 93/* ] */) --cut;
+    }
+
+    cut = this.refStart (pos, cut);
+    this.scan = cut;
+    end = cut;
+
+    if (end === pos) {
+      return false;
+    }
+  }
+
+  const str = buf.substring (pos, end);
+
+  if (this.opts.strict && this.opened.length !== 0) {
+    this.forbid (str, pos, '<', "Unescaped '<' in text");
+    this.forbid (str, pos, "]]>", "CDATA section end in text");
+  }
+
+  if (this.opened.length === 0) {
+    /* Only whitespace can surround the root element */
+    for (let idx = 0; idx !== str.length; ++idx) {
+      if (str.charCodeAt(idx) > 32) {
+        this.fail ("Text outside of the root element", pos + idx, '"<"');
+      }
+    }
+  } else {
+    this.emitText (str, pos, this.opts.locations
+    ? this.range (pos, end) : undefined);
+  }
+
+  this.advance (end);
+
+  return true;
+}
+
+/* Where the entity reference possibly cut off at `end` starts */
+refStart (from, end) {
+  const buf = this.buffer;
+  const amp = buf.lastIndexOf ('&', end - 1);
+
+  if (amp < from || buf.lastIndexOf (';', end - 1) > amp) {
+    return end;
+  }
+
+  /* HTML: the ampersand might not start a reference at all */
+  if (this.opts.html && !UXML.pattern.htmlRefStart.test (buf.substring (amp
+  + 1, end))) {
+    return end;
+  }
+
+  return amp;
+}
+
+/* ===--------------------------------------------------------------------------
+// Report the text starting at `at` with the references resolved */
+emitText (str, at, loc) {
+  if (str.indexOf ('&') === -1) {
+    this.emit ("text", str, false, loc);
+    return;
+  }
+
+  const refs = [];
+  let value;
+  let from = 0;
+
+  try {
+    value = UXMLParser.unescape (str, this.opts, refs);
+  } catch (err) {
+    if (!(err instanceof UXMLSyntaxError)) throw err;
+    this.fail (err.reason, at + err.offset, err.expected, err.found);
+  }
+
+  for (let [start, end] of refs) {
+    if (start !== from) {
+      this.emit ("text", value.substring (from, start), false, loc);
+    }
+
+    this.emit ("text", value.substring (start, end), true, loc);
+    from = end;
+  }
+
+  if (from !== value.length) {
+    this.emit ("text", value.substring (from), false, loc);
+  }
+}
+
+/* ===--------------------------------------------------------------------------
+// HTML: the contents of scripts and styles are taken as is
+// up to the closing tag, the entities are resolved
+// in the text areas and titles though */
+processRaw (last) {
+  const buf = this.buffer;
+  const pos = this.pos;
+  const name = this.raw;
+  const regex = new RegExp("</" + name + "[\\t\\n\\f\\r />]", "gi");
+  const rcdata = UXML.htmlTags.rcdata.includes (name);
+
+  regex.lastIndex = Math.max (pos, this.scan);
+
+  const match = regex.exec (buf);
+  let end;
+
+  if (match !== null) {
+    end = match.index;
+  } else if (last) {
+    /* The end of input closes the tag */
+    end = buf.length;
+  } else {
+    /* Hold back what might be the start of the closing tag,
+    // and the incomplete entity reference */
+    end = Math.max (pos, buf.length - name.length - 2);
+
+    if (rcdata) end = this.refStart (pos, end);
+
+    this.scan = end;
+
+    if (end === pos) {
+      return false;
+    }
+  }
+
+  if (end !== pos) {
+    let str = buf.substring (pos, end);
+
+    if (rcdata && str.indexOf ('&') !== -1) {
+      try {
+        str = UXMLParser.unescape (str, this.opts);
+      } catch (err) {
+        if (!(err instanceof UXMLSyntaxError)) throw err;
+        this.fail (err.reason, pos + err.offset, err.expected, err.found);
+      }
+    }
+
+    this.emit ("text", str, true, this.opts.locations
+    ? this.range (pos, end) : undefined);
+  }
+
+  this.advance (end);
+  if (match !== null || last) this.raw = null;
+
+  return true;
+}
+
+/* ===--------------------------------------------------------------------------
+// Comments and CDATA sections */
+processSection (terminator, skip, last) {
+  const buf = this.buffer;
+  const pos = this.pos;
+  const cdata = skip === 9;
+
+  if (cdata && this.opened.length === 0) {
+    this.fail ("CDATA section outside of the root element", pos, '"<"');
+  }
+
+  const end = buf.indexOf (terminator, Math.max (pos + skip, this.scan - 2));
+
+  if (end === -1) {
+    if (last) {
+      this.fail (cdata ? "Unterminated CDATA section" : "Unterminated comment"
+      , pos, '"' + terminator + '"', "end of input");
+    }
+
+    this.scan = buf.length;
+    return false;
+  }
+
+  const str = buf.substring (pos + skip, end);
+  const loc = this.opts.locations ? this.range (pos, end + 3) : undefined;
+
+  if (cdata) {
+    this.emit ("cdata", str, loc);
+  } else {
+    if (this.opts.strict) {
+      /* The comment can't end with a hyphen either */
+      this.forbid (str + '-', pos + skip, "--", "Double hyphen in comment");
+    }
+
+    this.emit ("comment", str, loc);
+  }
+
+  this.blank = false;
+  this.advance (end + 3);
+
+  return true;
+}
+
+/* ===--------------------------------------------------------------------------
+// Processing instructions, including the XML declaration,
+// and the document type declaration */
+processPi (last) {
+  const buf = this.buffer;
+  const pos = this.pos;
+  const x = buf.charCodeAt(pos + 1) === 33/* ! */;
+  let res;
+
+  try {
+    res = x ? UXMLParser.scanDoctype (buf, pos, this.opts.strict
+    , this.opts.html) : UXMLParser.scanPi (buf, pos, this.opts.strict);
+  } catch (err) {
+    if (!(err instanceof UXMLSyntaxError)) throw err;
+    this.fail (err.reason, err.offset, err.expected, err.found);
+  }
+
+  if (res === null) {
+    if (last) {
+      this.fail (x ? "Unterminated document type declaration"
+      : "Unterminated processing instruction"
+      , pos, x ? '">"' : '"?>"', "end of input");
+    }
+
+    return false;
+  }
+
+  const end = res[res.length - 1];
+  const loc = this.opts.locations ? this.range (pos, end) : undefined;
+
+  if (x) {
+    if (this.started) {
+      this.fail ("Document type declaration is only allowed"
+      + " before the root element", pos);
+    }
+
+    if (this.doctype) {
+      this.fail ("Duplicate document type declaration", pos);
+    }
+
+    this.doctype = true;
+
+    if (res[3] !== null) {
+      /* Take the entities and the attribute defaults */
+      const to = buf.lastIndexOf (']', end);
+
+      try {
+        [this.opts, this.defaults] = UXMLParser.internalSubset (buf
+        , to - res[3].length, to, this.opts);
+      } catch (err) {
+        if (!(err instanceof UXMLSyntaxError)) throw err;
+        this.fail (err.reason, err.offset, err.expected, err.found);
+      }
+    }
+
+    this.emit ("doctype", ...res.slice (0, 4), loc);
+  } else if (res[0] === "xml") {
+    if (!this.blank || (this.opts.strict && this.offset !== this.start)) {
+      this.fail ("XML declaration is only allowed"
+      + " at the start of the document", pos);
+    }
+
+    let decl;
+
+    try {
+      decl = UXMLParser.parseDeclaration (buf, end - 2 - res[1].length
+      , end - 2, this.opts.strict);
+    } catch (err) {
+      if (!(err instanceof UXMLSyntaxError)) throw err;
+      this.fail (err.reason, err.offset, err.expected, err.found);
+    }
+
+    this.emit ("declaration", decl, loc);
+  } else {
+    this.emit ("pi", res[0], res[1], loc);
+  }
+
+  this.blank = false;
+  this.advance (end);
+
+  return true;
+}
+
+/* ===--------------------------------------------------------------------------
+// Only comments and processing instructions may follow the root element,
+// anything else ends the parsing (or fails it in the strict and HTML modes,
+// as the HTML parser doesn't make up the root element to hold it) */
+processEpilog (last) {
+  const buf = this.buffer;
+  const len = buf.length;
+  let idx = this.pos;
+
+  while (idx !== len && buf.charCodeAt(idx) <= 32) ++idx;
+
+  if (idx !== this.pos) {
+    this.advance (idx);
+    return true;
+  }
+
+  if (buf.startsWith ("<?", idx)) {
+    return this.processPi (last);
+  }
+
+  if (buf.startsWith ("<!--", idx)) {
+    return this.processSection ("-->", 4, last);
+  }
+
+  const rest = buf.substring (idx, idx + 9);
+
+  if (!last && rest.length !== 9 && ("<![CDATA[".startsWith (rest)
+  || "<!--".startsWith (rest))) {
+    /* Can't tell yet */
+    return false;
+  }
+
+  if (rest.startsWith ("<!") && rest !== "<![CDATA[") {
+    /* Misplaced declaration */
+    return this.processPi (last);
+  }
+
+  if (this.opts.strict || this.opts.html) {
+    if (!last && rest.length === 1) {
+      /* Tag or a lone `<`? */
+      return false;
+    }
+
+    this.fail ((rest[0] !== '<' || rest.charCodeAt(1) <= 32)
+    ? "Text after the root element" : (rest === "<![CDATA[")
+    ? "CDATA section outside of the root element" : (rest[1] === '/')
+    ? "Unexpected closing tag after the root element"
+    : "Only one root element is allowed", idx, "end of input");
+  }
+
+  this.finished = true;
+  return false;
+}
+
+/* ===--------------------------------------------------------------------------
+// Scan the tag name up to `>`, `/`, or whitespace, the closing tag name
+// up to `>`, or the attribute name up to `=`, and return where it ends.
+// The attribute name may also end where the attribute has no value. */
+scanName (from, what) {
+  const buf = this.buffer;
+  const len = buf.length;
+  const lut = UXML.nameChars (this.opts.strict);
+  const attr = what === "attribute name";
+  const closing = what === "closing tag name";
+  let posNs = -1;
+
+  for (let idx = from; idx !== len; ++idx) {
+    const chr = buf.charCodeAt(idx);
+    const ends = attr ? chr === 61/* = */ : chr === 62/* > */
+    || (!closing && (chr <= 32 || chr === 47/* / */));
+
+    if (chr === 58/* : */) {
+      if (posNs !== -1 || idx === from) {
+        this.fail ("Misplaced namespace prefix separator in " + what, idx);
+      }
+
+      posNs = idx;
+    } else if (ends || (attr && (chr <= 32 || chr === 47/* / */
+    || chr === 62/* > */))) {
+      if (posNs === idx - 1 && ends) {
+        this.fail ("Misplaced namespace prefix separator in " + what, idx);
+      }
+
+      return idx;
+    } else if (chr < 128 && !lut[toInteger(idx === from)][chr]) {
+      this.fail (((posNs === idx - 1) ? "Misplaced namespace prefix separator"
+      : "Invalid character") + " in " + what, idx);
+    }
+  }
+
+  this.fail ("Unexpected end of input in " + what, len);
+}
+
+/* ===--------------------------------------------------------------------------
+// Opening and self-closing tags */
+processOpening (last) {
+  const buf = this.buffer;
+  const pos = this.pos;
+  const opts = this.opts;
+  let end = this.findClosing (pos + 1);
+
+  if (end === -1) {
+    if (!last) return false;
+
+    /* Find out what's wrong with the rest of the input */
+    end = buf.length;
+  }
+
+  let idx = this.scanName (pos + 1, "tag name");
+  let name = buf.substring (pos + 1, idx);
+
+  if (opts.strict) this.checkName (name, pos + 1, "tag name");
+
+  if (opts.html) {
+    name = name.toLowerCase();
+    if (this.started) this.impliedEnd (name, pos);
+  }
+
+  const attrs = new RadixTree();
+  const attrsAt = [];
+  const ranges = opts.locations ? new Map() : null;
+  let closed = false;
+
+  this.opened.push ([name, this.offset, this.line, this.column]);
+
+  while (true) {
+    while (idx !== end && buf.charCodeAt(idx) <= 32) ++idx;
+    if (idx === end) break;
+
+    const chr = buf.charCodeAt(idx);
+
+    if (chr === 47/* / */) {
+      if (idx + 1 !== end || end === buf.length) {
+        this.fail ("Unexpected '/' in tag <" + name + '>', idx, '">"');
+      }
+
+      closed = true;
+      break;
+    }
+
+    if (chr === 61/* = */) {
+      this.fail ("Invalid character in attribute name", idx);
+    }
+
+    if (chr === 34/* " */ || chr === 39/* ' */) {
+      this.fail ("Attribute value without a name in tag <" + name + '>'
+      , idx, "attribute name");
+    }
+
+    /* Attribute name is immediately followed by `=` */
+    const start = idx;
+    idx = this.scanName (start, "attribute name");
+    let attr = buf.substring (start, idx);
+    let bare = buf.charCodeAt(idx) !== 61/* = */;
+
+    if (bare && !opts.html) {
+      this.fail ("Attribute " + attr + " has no value", idx, '"="');
+    }
+
+    if (opts.html) attr = attr.toLowerCase();
+
+    if (opts.strict) {
+      if (buf.charCodeAt(start - 1) > 32) {
+        this.fail ("Missing whitespace before attribute", start, "whitespace");
+      }
+
+      this.checkName (attr, start, "attribute name");
+
+      if (attrs.get (attr) !== undefined) {
+        this.fail ("Duplicate attribute " + attr, start);
+      }
+    }
+
+    if (opts.namespaces) attrsAt.push ([attr, start]);
+    const nameAt = opts.locations ? this.range (start, idx) : null;
+
+    if (bare) {
+      /* HTML: the attribute without a value is empty,
+      // and there may be whitespace before `=` */
+      let next = idx;
+      while (next !== end && buf.charCodeAt(next) <= 32) ++next;
+
+      if (buf.charCodeAt(next) !== 61/* = */) {
+        attrs.set (attr, "");
+        if (ranges !== null) ranges.set (attr, {name: nameAt, value: null});
+        continue;
+      }
+
+      idx = next;
+    }
+
+    let value;
+    let from = ++idx;
+    let quote = buf.charCodeAt(idx);
+
+    if (opts.html) {
+      while (idx !== end && buf.charCodeAt(idx) <= 32) ++idx;
+      from = idx;
+      quote = buf.charCodeAt(idx);
+
+      if (quote !== 34/* " */ && quote !== 39/* ' */) {
+        /* HTML: the unquoted value goes up to whitespace or `>` */
+        while (idx !== end && buf.charCodeAt(idx) > 32) ++idx;
+
+        if (idx === from) {
+          this.fail ("Attribute " + attr + " has no value", idx
+          , "attribute value");
+        }
+
+        value = this.resolve (buf.substring (from, idx), from);
+        attrs.set (attr, value);
+
+        if (ranges !== null) {
+          ranges.set (attr, {name: nameAt, value: this.range (from, idx)});
+        }
+
+        continue;
+      }
+    }
+
+    if (quote !== 34/* " */ && quote !== 39/* ' */) {
+      this.fail ("Attribute " + attr + " value must be quoted"
+      , idx, "quotation mark");
+    }
+
+    const close = buf.indexOf (String.fromCharCode (quote), idx + 1);
+
+    if (close === -1) {
+      this.fail ("Unterminated attribute " + attr + " value", idx
+      , JSON.stringify (String.fromCharCode (quote)), "end of input");
+    }
+
+    value = buf.substring (idx + 1, close);
+
+    if (opts.strict) {
+      this.forbid (value, idx + 1, '<'
+      , "Unescaped '<' in attribute " + attr + " value");
+    }
+
+    if (!opts.preserveSpace) {
+      value = value.replace (UXML.pattern.wspace, ' ');
+    }
+
+    attrs.set (attr, this.resolve (value, idx + 1));
+
+    if (ranges !== null) {
+      ranges.set (attr, {name: nameAt, value: this.range (idx + 1, close)});
+    }
+
+    idx = close + 1;
+  }
+
+  if (end === buf.length) {
+    this.fail ("Unexpected end of input in tag <" + name + '>', end, '">"');
+  }
+
+  if (this.defaults !== null && this.defaults.has (name)) {
+    /* Fill in the omitted attributes which have default values */
+    for (let [attr, value] of this.defaults.get (name)) {
+      if (attrs.get (attr) !== undefined) continue;
+      attrs.set (attr, value);
+      if (opts.namespaces) attrsAt.push ([attr, pos]);
+    }
+  }
+
+  /* HTML: void elements have no contents */
+  if (opts.html && UXML.htmlTags.void.includes (name)) {
+    closed = true;
+  }
+
+  let uri;
+
+  if (opts.namespaces) {
+    const saved = this.ns;
+    uri = this.resolveNs (name, attrs, attrsAt, pos);
+
+    if (closed) {
+      this.ns = saved;
+    } else {
+      this.nsScopes.push (saved);
+    }
+  }
+
+  const loc = (ranges !== null)
+  ? Object.assign (this.range (pos, end + 1), {attributes: ranges})
+  : undefined;
+
+  this.started = true;
+  this.blank = false;
+  this.emit ("openTag", name, attrs, uri, loc);
+  this.advance (end + 1);
+
+  if (closed) {
+    this.popTag (name);
+  } else if (opts.html && UXML.htmlTags.raw.includes (name)) {
+    this.raw = name;
+  }
+
+  return true;
+}
+
+/* ===--------------------------------------------------------------------------
+// Resolve the entities in the attribute value starting at `from`.
+// Whitespace normalization keeps all the ampersands, so the offset
+// of the failing reference in the source can be found. */
+resolve (value, from) {
+  if (value.indexOf ('&') === -1) {
+    return value;
+  }
+
+  try {
+    return UXMLParser.unescape (value, this.opts);
+  } catch (err) {
+    if (!(err instanceof UXMLSyntaxError)) throw err;
+    this.fail (err.reason, UXMLParser.refOffset (value, err.offset
+    , this.buffer, from), err.expected, err.found);
+  }
+}
+
+/* ===--------------------------------------------------------------------------
+// Resolve the namespaces of the tag starting at `at` and its attributes
+// starting at the `attrsAt` offsets, and return the namespace URI of the tag.
+// The declarations on the tag are taken into the scope. */
+resolveNs (name, attrs, attrsAt, at) {
+  let bound = this.ns;
+
+  for (let [attr, value] of attrs) {
+    if (attr !== "xmlns" && !attr.startsWith ("xmlns:")) continue;
+
+    const prefix = attr.substring (6);
+    const from = attrsAt.find ((item) => item[0] === attr)[1];
+
+    if (prefix === "xmlns" || value === UXML.nsURI.xmlns
+    || (prefix === "xml") !== (value === UXML.nsURI.xml)) {
+      this.fail ("Illegal namespace declaration " + attr, from);
+    }
+
+    if (prefix.length !== 0 && value.length === 0) {
+      this.fail ("Namespace prefix " + prefix + " cannot be undeclared"
+      , from, "namespace URI");
+    }
+
+    if (bound === this.ns) bound = Object.create (this.ns);
+    bound[prefix] = value || null;
+  }
+
+  const uriOf = (name, from, attr) => {
+    const sep = name.indexOf (':');
+    if (sep === -1) return attr ? null : (bound[""] || null);
+    const uri = bound[name.substring (0, sep)];
+
+    if (uri === undefined) {
+      this.fail ("Undeclared namespace prefix " + name.substring (0, sep)
+      , from);
+    }
+
+    return uri;
+  };
+
+  const uri = uriOf (name, at, false);
+  const expanded = new Map();
+
+  for (let [attr, from] of attrsAt) {
+    if (attr.startsWith ("xmlns:")) continue;
+
+    /* Different prefixes may be bound to the same namespace */
+    const attrUri = uriOf (attr, from, true);
+    if (attrUri === null) continue;
+
+    const key = attrUri + ' ' + attr.substring (attr.indexOf (':') + 1);
+    const dup = expanded.get (key);
+
+    if (dup !== undefined && dup !== attr) {
+      this.fail ("Attribute " + attr + " duplicates " + dup
+      + " in namespace " + attrUri, from);
+    }
+
+    expanded.set (key, attr);
+  }
+
+  this.ns = bound;
+
+  return uri;
+}
+
+/* ===--------------------------------------------------------------------------
+// Closing tags */
+processClosing (last) {
+  const buf = this.buffer;
+  const pos = this.pos;
+
+  if (buf.indexOf ('>', pos + 2) === -1 && !last) {
+    return false;
+  }
+
+  const end = this.scanName (pos + 2, "closing tag name");
+  let name = buf.substring (pos + 2, end);
+
+  if (this.opened.length === 0) {
+    this.fail ("Unexpected closing tag </" + name + '>'
+    , pos, '"<"', '"</' + name + '>"');
+  }
+
+  if (this.opts.html) {
+    name = name.toLowerCase();
+
+    /* Closing tags of void elements are ignored */
+    if (UXML.htmlTags.void.includes (name)) {
+      this.advance (end + 1);
+      return true;
+    }
+
+    if (name !== this.opened[this.opened.length - 1][0]
+    && this.impliedBy (name)) {
+      while (name !== this.opened[this.opened.length - 1][0]) {
+        this.endImplied (pos);
+      }
+    }
+  }
+
+  const [open] = this.opened[this.opened.length - 1];
+
+  if (name !== open) {
+    this.fail ("</" + name + "> does not match " + this.openedAt()
+    , pos, '"</' + open + '>"', '"</' + name + '>"');
+  }
+
+  const loc = this.opts.locations ? this.range (pos, end + 1) : undefined;
+
+  this.advance (end + 1);
+  if (this.opts.namespaces) this.ns = this.nsScopes.pop();
+  this.popTag (name, loc);
+
+  return true;
+}
+
+/* The tags without the closing ones end right where they are */
+popTag (name, loc=undefined) {
+  if (loc === undefined && this.opts.locations) {
+    loc = this.range (this.pos, this.pos);
+  }
+
+  this.opened.pop();
+  this.emit ("closeTag", name, loc);
+}
+
+/* ===--------------------------------------------------------------------------
+// HTML: close the current tag where the next one starts at `at` */
+endImplied (at) {
+  const [name] = this.opened[this.opened.length - 1];
+
+  if (this.opts.namespaces) this.ns = this.nsScopes.pop();
+  this.popTag (name, this.opts.locations ? this.range (at, at) : undefined);
+}
+
+/* HTML: the list items, the definitions, the options, and the table
+// cells and rows end where the next ones start, and the paragraphs
+// end where the blocks start */
+impliedEnd (name, at) {
+  const tags = UXML.htmlTags;
+  let closed;
+  let stop;
+
+  if (Object.prototype.hasOwnProperty.call (tags.closes, name)) {
+    closed = tags.closes[name][0];
+    stop = tags[tags.closes[name][1]];
+  } else if (tags.closesP.includes (name)) {
+    closed = ["p"];
+    stop = tags.scopes;
+  } else {
+    return;
+  }
 
-      o += input.substring (p, pos);
+  /* The root is never closed implicitly. The search goes on
+  // past the closed tag, so an option group also closes the option
+  // inside of it, and then the option group itself. */
+  for (let idx = this.opened.length - 1; idx > 0; --idx) {
+    const [open] = this.opened[idx];
 
-      do {
-        if (++pos === len) {
-          return false;
-        }
+    if (closed.includes (open)) {
+      while (this.opened.length !== idx) this.endImplied (at);
+    } else if (stop.includes (open)) {
+      return;
+    }
+  }
+}
 
-        chr = input.charCodeAt(pos);
-      } while (chr <= 32);
+/* HTML: see if the closing tag ends the tags
+// which have their closing tags implied */
+impliedBy (name) {
+  for (let idx = this.opened.length - 1; idx >= 0; --idx) {
+    const [open] = this.opened[idx];
+    if (open === name) return true;
+    if (!UXML.htmlTags.implied.includes (open)) return false;
+  }
 
-      /* Skip all trailing whitespace */
-      if (string || (chr !== chrAK && chr !== chrGT)) {
-        o += ' ';
-      }
+  return false;
+}}
 
-      p = pos;
-    }
-  };
+/* =============================================================================
+// Tree builder
+// -------------------------------------------------------------------------- */
 
-  /* ===--------------------------
-  // Extract the token contents */
-  const getToken = () => {
-    return input.substring (p, pos);
-  };
+/* ===--------------------------------------------------------------------------
+// Push parser handler producing the node tree. This is what
+// `UXML.parse()` does, so the tree is the same given the same options. */
+class UXMLTreeBuilder {
+get [Symbol.toStringTag]() {
+  return "UXMLTreeBuilder";
+}
 
-  const getTag = () => {
-    currTag = getToken();
-    posNs = 0;
-  };
+constructor (opts=UXML.defParseOpts) {
+  this.opts = opts;
+  this.node = null;
+  this.result = null;
+  this.wspaceTrail = false;
 
-  const getAttr = () => {
-    currAttr = getToken();
-    posNs = 0;
-  };
+  /* Text pieces as `[str, verbatim]` pairs, and their source range */
+  this.pending = [];
+  this.pendingAt = undefined;
 
-  const getText = (first, ends) => {
-    let wl = '';
-    let wr = '';
-
-    /* Skip leading whitespace */
-    let wp = p;
-    let wpos = pos;
-    while (input.charCodeAt(wp) <= 32) ++wp;
-
-    /* Add leading whitespace if there was actually
-    // a leading whitespace block, this text node isn't
-    // the first one, and there was no trailing whitespace
-    // already added before */
-    if (wp === pos) {
-      if (!ends && !first && !wspaceTrail) {
-        wspaceTrail = true;
-        wl = ' ';
-      } else {
-        wspaceTrail = false;
-      }
-    } else {
-      if (wp !== p && !first && !wspaceTrail) {
-        wl = ' ';
-      }
+  /* Whitespace handling of the enclosing tags */
+  this.preserve = !!opts.preserveSpace;
+  this.spaces = [];
 
-      /* Skip trailing whitespace */
-      wspaceTrail = false;
-      while (input.charCodeAt(wpos - 1) <= 32) --wpos;
+  /* Everything around the root element */
+  this.decl = null;
+  this.prolog = [];
+  this.epilog = [];
+}
 
-      /* Add trailing whitespace if there was a trailing
-      // whitespace region and the current tag isn't
-      // about to be closed */
-      if (wpos !== pos && !ends) {
-        wspaceTrail = true;
-        wr = ' ';
-      }
-    }
+declaration (decl) {
+  this.decl = decl;
+}
 
-    return wl + input.substring (wp, wpos)
-    .replace (UXML.pattern.wspace, ' ') + wr;
-  };
+doctype (name, publicId, systemId, internalSubset, loc) {
+  const node = UXMLDocument.newDoctypeNode (name, publicId, systemId
+  , internalSubset);
 
-  /* ===-------------------------------------------------------------
-  // Determine the current token kind based on the current context */
-  const tokenKind = () => {
-    if (scope === scopeDoc) {
-      if (chr === chrLT) {
-        skipChar();
-
-        if (chr === chrEX) {
-          if (input.charCodeAt(pos + 1) === chrMI
-          &&  input.charCodeAt(pos + 2) === chrMI) {
-            pos += 3;
-            return tknComment; // <!--
-          }
+  this.locate (node, loc);
+  this.prolog.push (node);
+}
 
-          if (input.charCodeAt(pos + 1) === chrLB
-          &&  input.charCodeAt(pos + 7) === chrLB
-          &&  input.charCodeAt(pos + 2) === 67/* C */
-          &&  input.charCodeAt(pos + 3) === 68/* D */
-          &&  input.charCodeAt(pos + 4) === 65/* A */
-          &&  input.charCodeAt(pos + 5) === 84/* T */
-          &&  input.charCodeAt(pos + 6) === 65/* A */) {
-            pos += 8;
-            return tknCdata; // <![CDATA[
-          }
+pi (target, data, loc) {
+  this.place (UXMLDocument.newPiNode (target, data), loc);
+}
 
-          return tknPi; // e.g. <!DOCTYPE>
-        }
+openTag (name, attrs, uri, loc) {
+  const node = UXMLDocument.newTagNode (name, attrs);
 
-        if (chr === chrAK) {
-          return tknPi; // e.g. <?xml version="1.0" encoding="utf-8"?>
-        }
+  if (this.node !== null) {
+    this.flush (false);
+    this.node.append (node);
+  } else {
+    this.result = node;
+  }
 
-        if (chr <= 32) {
-          --pos;
-          return tknText;
-        }
+  if (uri !== undefined) node.$uri = uri;
+  this.locate (node, loc);
 
-        return tknTagStart; // <
-      } else {
-        if (root !== null) return tknText;
-        if (chr <= 32) return tknNone;
-        return tknText;
-      }
-    } else switch (chr) {
-      case chrEQ: return tknAttrEq;
-      case chrDQ: return tknAttrVal;
-      case chrSQ: return tknAttrVal;
-      case chrSL: return tknTagClose;
-      case chrGT: return tknTagEnd;
-      default: return (chr > 32) ? tknAttr : tknNone;
-    }
-  };
+  this.node = node;
+  this.spaces.push (this.preserve);
+  this.preserve = node.$preservesSpace (this.preserve, this.opts);
+}
 
-  /* ===------------------------
-  // Handle the current token */
-  const processToken = () => {
-    switch (tokenKind()) {
-      case tknTagStart:
-        if (chr === chrSL) {
-          /* The tag is closing */
-          p = ++pos;
-          if (!skipTag (true)) return false;
-          getTag();
-
-          /* See if it matches the current opened */
-          if (currTag === currNode.name) {
-            superNode = currNode.superNode;
-
-            if (superNode === null) {
-              /* We've reached the end of the root node.
-              // This will cause parsing to stop. */
-              this.pos = pos + 1;
-              pos = len;
-              return true;
-            }
-
-            currNode = superNode;
-          } else {
-            return false;
-          }
+closeTag (name, loc) {
+  const node = this.node;
 
-          skipChar();
-        } else {
-          /* The tag is opening */
-          p = pos;
-          if (!skipTag (false)) return false;
-          getTag();
-
-          if (root === null) {
-            if (!decl) {
-              currNode = root = UXMLDocument.newTagNode (currTag);
-            } else {
-              doc = new UXMLDocument(currTag);
-              doc.pi.push (...pi);
-              currNode = root = doc.root;
-            }
-          } else {
-            const newNode = UXMLDocument.newTagNode (currTag);
-            currNode.append (newNode);
-            currNode = newNode;
-          }
+  this.flush (true);
 
-          scope = scopeTag;
-        }
+  if (loc !== undefined) {
+    /* Tags get their whole range once closed */
+    const open = node.location;
 
-        break;
-      case tknAttr:
-        p = pos;
-        if (!skipAttr()) return false;
-        getAttr();
-        break;
-      case tknAttrEq:
-        ++pos;
-        if (!skipToValue()) return false;
-        p = ++pos;
-        if (!skipValue()) return false;
-        text = getToken().replace (UXML.pattern.wspace, ' ');
-        currNode.attributes.set (currAttr, text);
-        skipChar();
-        break;
-      case tknTagClose:
-        skipChar();
+    node.location = Object.assign (UXMLTreeBuilder.span (open, loc), {
+      openTag: UXMLTreeBuilder.span (open, open),
+      closeTag: (loc.end !== loc.start) ? loc : null,
+      attributes: open.attributes
+    });
+  }
 
-        if (chr === chrGT) {
-          superNode = currNode.superNode;
+  this.node = node.superNode;
+  this.preserve = this.spaces.pop();
+}
 
-          if (superNode === null) {
-            /* The root has no sub nodes */
-            this.pos = pos + 1;
-            pos = len;
-            return true;
-          }
+text (str, verbatim, loc) {
+  const last = this.pending[this.pending.length - 1];
+  verbatim = !!verbatim;
 
-          currNode = superNode;
-          break;
-        }
+  if (last !== undefined && last[1] === verbatim) {
+    last[0] += str;
+  } else {
+    this.pending.push ([str, verbatim]);
+  }
 
-        return false;
-      case tknTagEnd:
-        skipChar();
-        scope = scopeDoc;
-        break;
-      case tknCdata:
-        p = pos;
-        if (!skipCDATA()) return false;
-        currNode.append (UXMLDocument.newCdataNode (getToken()));
-        skipChar (3);
-        break;
-      case tknComment:
-        p = pos;
-        if (!skipComment()) return false;
-        currNode.append (UXMLDocument.newCommentNode (getToken()));
-        skipChar (3);
-        break;
-      case tknPi:
-        if (embedded) return false;
-        if (!skipPi()) return false;
-        skipChar();
-        break;
-      case tknText:
-        p = pos;
-        if (!skipText()) return false;
-        text = getText (currNode.length === 0
-        , input[pos + 1].charCodeAt(0) === chrSL);
-        if (text.length !== 0) {
-          text = UXMLParser.unescape (text);
-          if (text === null) return false;
-          currNode.append (UXMLDocument.newTextNode (text));
-        }
-        break;
-      case tknNone:
-        skipSpace();
-        break;
+  if (loc !== undefined) {
+    this.pendingAt = (this.pendingAt === undefined) ? loc
+    : UXMLTreeBuilder.span (this.pendingAt, loc);
+  }
+}
+
+cdata (str, loc) {
+  this.flush (false);
+  this.node.append (UXMLDocument.newCdataNode (str));
+  this.locate (this.node.lastNode, loc);
+}
+
+comment (str, loc) {
+  this.place (UXMLDocument.newCommentNode (str), loc);
+}
+
+/* ===--------------------------------------------------------------------------
+// The XML declaration or a processing instruction around the root element
+// makes it a document, and so does the `document` option. Otherwise
+// the result is the bare root tag, without the comments
+// and the document type around it. */
+end() {
+  const isPi = (node) => node.type === UXML.nodeType.pi;
+
+  if (!this.opts.document && this.decl === null
+  && !this.prolog.some (isPi) && !this.epilog.some (isPi)) {
+    return;
+  }
+
+  const doc = new UXMLDocument(this.result);
+  doc.declaration = this.decl;
+  doc.prolog.push (...this.prolog);
+  doc.epilog.push (...this.epilog);
+  this.result = doc;
+}
+
+/* ===--------------------------------------------------------------------------
+// Comments and processing instructions may also appear around the root */
+place (node, loc) {
+  this.locate (node, loc);
+
+  if (this.node !== null) {
+    this.flush (false);
+    this.node.append (node);
+  } else if (this.result === null) {
+    this.prolog.push (node);
+  } else {
+    this.epilog.push (node);
+  }
+}
+
+locate (node, loc) {
+  if (loc !== undefined) node.location = loc;
+}
+
+/* ===--------------------------------------------------------------------------
+// Append the accumulated text. Unless whitespace is preserved,
+// the text is trimmed, and the runs of whitespace are collapsed
+// into a single space, except for the verbatim pieces. */
+flush (ends) {
+  const parts = this.pending;
+  const loc = this.pendingAt;
+
+  if (parts.length === 0) {
+    return;
+  }
+
+  this.pending = [];
+  this.pendingAt = undefined;
+
+  if (this.preserve) {
+    this.wspaceTrail = false;
+    this.append (parts.map ((part) => part[0]).join (""), loc);
+    return;
+  }
+
+  const first = this.node.length === 0;
+  let lead = false;
+  let trail = false;
+  let text = "";
+  let wl = '';
+  let wr = '';
+
+  parts.forEach (([str, verbatim], idx) => {
+    if (verbatim) {
+      text += str;
+      return;
     }
 
-    return true;
-  };
+    let from = 0;
+    let to = str.length;
+
+    if (idx === 0) {
+      while (from !== to && str.charCodeAt(from) <= 32) ++from;
+      lead = from !== 0;
+    }
+
+    if (idx === parts.length - 1) {
+      while (to !== from && str.charCodeAt(to - 1) <= 32) --to;
+      trail = to !== str.length;
+    }
 
-  skipSpace();
+    text += str.substring (from, to).replace (UXML.pattern.wspace, ' ');
+  });
+
+  if (parts.length === 1 && !parts[0][1] && text.length === 0) {
+    /* Add the whitespace if the text isn't the first one,
+    // and there was no trailing whitespace added before */
+    if (!ends && !first && !this.wspaceTrail) {
+      this.wspaceTrail = true;
+      wl = ' ';
+    } else {
+      this.wspaceTrail = false;
+    }
+  } else {
+    if (lead && !first && !this.wspaceTrail) {
+      wl = ' ';
+    }
 
-  while (pos !== len) {
-    //console.log (pos, input[pos]);
-    if (!processToken()) {
-      return null;
+    /* Keep the trailing whitespace unless the tag is about to be closed */
+    this.wspaceTrail = false;
+
+    if (trail && !ends) {
+      this.wspaceTrail = true;
+      wr = ' ';
     }
   }
 
-  return decl ? doc : currNode;
+  this.append (wl + text + wr, loc);
+}
+
+append (text, loc) {
+  if (text.length !== 0) {
+    this.node.append (UXMLDocument.newTextNode (text));
+    this.locate (this.node.lastNode, loc);
+  }
+}
+
+/* ===--------------------------------------------------------------------------
+// Source range from the start of one to the end of another */
+static span (from, to) {
+  return {start: from.start, end: to.end, line: from.line, column: from.column
+  , endLine: to.endLine, endColumn: to.endColumn};
 }}
 
 /* =============================================================================
@@ -988,7 +3634,7 @@ get [Symbol.toStringTag]() {
 
 /* ===--------------------------------------------------------------------------
 // Convert forbidden code points back to XML entities */
-static escape (str, regex) {
+static escape (str, regex, names=null) {
   let out = "";
   let idx = 0;
 
@@ -1001,7 +3647,7 @@ static escape (str, regex) {
     }
 
     out += str.substring (idx, match.index);
-    const chr = str[match.index];
+    const chr = match[0];
 
     switch (chr) {
     case '<': out += "&lt;"; break;
@@ -1009,7 +3655,12 @@ static escape (str, regex) {
     case '"': out += "&quot;"; break;
     case "'": out += "&apos;"; break;
     case '&': out += "&amp;"; break;
-    default:  out += "&#" + chr.codePointAt(0).toString (10) + ';';
+    default:
+      if (names !== null && names.has (chr)) {
+        out += '&' + names.get (chr) + ';';
+      } else {
+        out += "&#" + chr.codePointAt(0).toString (10) + ';';
+      }
     }
 
     idx = regex.lastIndex;
@@ -1018,18 +3669,164 @@ static escape (str, regex) {
   return out;
 }
 
+/* ===--------------------------------------------------------------------------
+// Reverse the entity map for the characters outside of ASCII;
+// of several names for the same character the first one is used */
+static entityNames (entities) {
+  let names = UXMLFormatter.names.get (entities);
+
+  if (names !== undefined) {
+    return names;
+  }
+
+  names = new Map();
+
+  for (let name of Object.keys (entities)) {
+    const value = entities[name];
+
+    if (typeof value !== "string" || value.codePointAt(0) < 128
+    || String.fromCodePoint (value.codePointAt(0)) !== value) {
+      continue;
+    }
+
+    if (!names.has (value)) {
+      names.set (value, name);
+    }
+  }
+
+  UXMLFormatter.names.set (entities, names);
+
+  return names;
+}
+
+/* ===--------------------------------------------------------------------------
+// Comments, processing instructions, and the document type */
+static markup (node) {
+  switch (node.type) {
+  case UXML.nodeType.comment:
+    return '<!--' + node.value + '-->';
+  case UXML.nodeType.pi:
+    return '<?' + node.target + (node.data ? ' ' + node.data : '') + '?>';
+  }
+
+  const quote = (str) => (str.indexOf ('"') === -1) ? '"' + str + '"'
+  : "'" + str + "'";
+  let str = '<!DOCTYPE ' + node.name;
+
+  if (node.publicId !== null) {
+    str += ' PUBLIC ' + quote (node.publicId)
+    + ' ' + quote (node.systemId || "");
+  } else if (node.systemId !== null) {
+    str += ' SYSTEM ' + quote (node.systemId);
+  }
+
+  if (node.internalSubset !== null) {
+    str += ' [' + node.internalSubset + ']';
+  }
+
+  return str + '>';
+}
+
+/* ===--------------------------------------------------------------------------
+// The XML declaration from its parsed view */
+static declaration (decl) {
+  let str = '<?xml version="' + (decl.version || "1.0") + '"';
+
+  if (decl.encoding) {
+    str += ' encoding="' + decl.encoding + '"';
+  }
+
+  if (decl.standalone !== null && decl.standalone !== undefined) {
+    str += ' standalone="' + (decl.standalone ? "yes" : "no") + '"';
+  }
+
+  return str + '?>';
+}
+
+/* ===--------------------------------------------------------------------------
+// Encode the string into bytes, optionally with the byte order mark.
+// Characters which don't fit into the encoding are a `RangeError`. */
+static encode (str, encoding="utf-8", bom=false) {
+  const name = UXML.encodings[encoding.toLowerCase()];
+
+  if (name === undefined) {
+    throw new RangeError("Unsupported encoding " + encoding);
+  }
+
+  if (name === "utf-8") {
+    const bytes = new TextEncoder().encode (str);
+    if (!bom) return bytes;
+
+    const out = new Uint8Array(bytes.length + 3);
+    out.set ([0xEF, 0xBB, 0xBF]);
+    out.set (bytes, 3);
+    return out;
+  }
+
+  if (name === "utf-16" || name === "utf-16le" || name === "utf-16be") {
+    /* Plain UTF-16 is little-endian and always has the mark */
+    const skip = (bom || name === "utf-16") ? 2 : 0;
+    const out = new Uint8Array(skip + str.length * 2);
+    const view = new DataView(out.buffer);
+    const little = name !== "utf-16be";
+
+    if (skip !== 0) view.setUint16 (0, 0xFEFF, little);
+
+    for (let idx = 0; idx !== str.length; ++idx) {
+      view.setUint16 (skip + idx * 2, str.charCodeAt(idx), little);
+    }
+
+    return out;
+  }
+
+  /* Single-byte encodings */
+  if (bom) {
+    throw new RangeError("No byte order mark in " + name.toUpperCase());
+  }
+
+  const max = (name === "us-ascii") ? 0x7F : 0xFF;
+  const out = new Uint8Array(str.length);
+
+  for (let idx = 0; idx !== str.length; ++idx) {
+    const code = str.charCodeAt(idx);
+
+    if (code > max) {
+      throw new RangeError("Character U+" + str.codePointAt(idx).toString (16)
+      .toUpperCase().padStart (4, '0') + " at offset " + idx
+      + " can't be encoded in " + name.toUpperCase());
+    }
+
+    out[idx] = code;
+  }
+
+  return out;
+}
+
 /* ===--------------------------------------------------------------------=== */
 
 format (node, indent=0, opts=UXML.defFmtOpts) {
+  /* Fill in the omitted options */
+  opts = Object.assign ({}, UXML.defFmtOpts, opts);
+
   /* A list of code points that must be
   // forced into XML entities */
   let regexEsc = UXML.pattern.escape;
 
-  if (Array.isArray (opts.codepts)) {
+  /* Characters to be output as named entities */
+  const names = (opts.entities && typeof opts.entities === "object")
+  ? UXMLFormatter.entityNames (opts.entities) : null;
+
+  if (Array.isArray (opts.codepts) || names !== null) {
     /* (Re-)build regular expression */
     let str = "[<>\"'&";
 
-    for (let codep of opts.codepts) {
+    if (names !== null) {
+      for (let chr of names.keys()) {
+        str += "\\u{" + chr.codePointAt(0).toString (16) + '}';
+      }
+    }
+
+    for (let codep of (Array.isArray (opts.codepts) ? opts.codepts : [])) {
       if (Array.isArray (codep)) {
         let codep1 = codep[0];
         let codep2 = codep[1];
@@ -1068,8 +3865,9 @@ format (node, indent=0, opts=UXML.defFmtOpts) {
   }
 
   /* A heuristic to determine if indentation on a tag
-  // can be performed */
-  const canIndent = (node, depth) => {
+  // can be performed: whitespace-only text nodes between
+  // the sub tags are then skipped (the tree isn't changed) */
+  const canIndent = (node) => {
     if (!indent) {
       return false;
     }
@@ -1098,46 +3896,96 @@ format (node, indent=0, opts=UXML.defFmtOpts) {
       sub = sub.nextNode;
     }
 
-    /* Remove inter-tag whitespace */
-    let next = node.firstNode;
-
-    while (next !== null) {
-      sub = next;
-      next = next.nextNode;
-
-      if (sub.type === UXML.nodeType.text) {
-        sub.detach();
-      }
-    }
-
     return true;
   };
 
   /* Output the header if the input is an XML document */
   let buf;
   let currDepth = opts.depth;
-  const eol = indent ? '\n' : '';
+  const eol = indent ? opts.eol : '';
+  const unit = opts.tabs ? '\t' : ' '.repeat (indent);
+
+  /* Separator of the top-level nodes */
+  const gap = eol + (opts.blankLines ? eol : '');
 
   buf = new Array();
 
   if (doc !== undefined) {
-    for (let pi of doc.pi) {
-      buf.push (pi + eol);
+    if (doc.declaration !== null) {
+      buf.push (UXMLFormatter.declaration (doc.declaration) + gap);
+    }
+
+    for (let sub of doc.prolog) {
+      buf.push (UXMLFormatter.markup (sub) + gap);
     }
   }
 
   /* Construct indentation string for the current depth */
-  const indentStr = (indent) => {
-    return ' '.repeat (currDepth * indent);
+  const indentStr = (indented, depth=currDepth) => {
+    return indented ? unit.repeat (depth) : '';
+  };
+
+  /* Attributes in the requested order */
+  const compare = (typeof opts.sortAttributes === "function")
+  ? opts.sortAttributes : (a, b) => (a < b) ? -1 : (a > b) ? 1 : 0;
+
+  const quote = (opts.quote === "'") ? "'" : '"';
+
+  /* Whitespace inside of these tags must be kept as is */
+  const inherited = (node) => (node === null) ? !!opts.preserveSpace
+  : node.$preservesSpace (inherited (node.superNode), opts);
+
+  /* Namespace declarations the tag actually needs
+  // given the bindings already in scope */
+  const declare = (outNode, scope) => {
+    const decls = new Map();
+    const lookup = (prefix) => scope[prefix] || null;
+
+    const need = (prefix, uri) => {
+      if (prefix === "xml" || (prefix.length !== 0 && uri === null)) return;
+      const curr = decls.has (prefix) ? decls.get (prefix) : lookup (prefix);
+      if (curr !== uri) decls.set (prefix, uri);
+    };
+
+    /* Keep the original declarations unless redundant */
+    for (let [attr, value] of outNode.attributes) {
+      if (attr === "xmlns" || attr.startsWith ("xmlns:")) {
+        need (attr.substring (6), value || null);
+      }
+    }
+
+    need (outNode.prefix || "", outNode.namespaceURI);
+
+    for (let [attr] of outNode.attributes) {
+      if (attr.indexOf (':') !== -1 && !attr.startsWith ("xmlns:")) {
+        need (attr.substring (0, attr.indexOf (':'))
+        , outNode.attributeNamespaceURI (attr));
+      }
+    }
+
+    return decls;
   };
 
   /* Serialize node according to its type */
-  const outputNode = (outNode, omitSelf, pindented) => {
-    const indented = indent * (pindented && canIndent (outNode));
-    pindented = indent * !!pindented;
+  const outputNode = (outNode, omitSelf, pindented, ppreserved, scope) => {
+    const preserved = outNode.type === UXML.nodeType.tag
+    && (outNode.$preservesSpace (ppreserved, opts)
+    || (opts.html && UXML.htmlTags.raw.includes (outNode.name)));
+    const indented = !!indent && !!pindented && !preserved
+    && outNode.type === UXML.nodeType.tag && canIndent (outNode);
+    pindented = !!indent && !!pindented;
 
     if (outNode.type === UXML.nodeType.text) {
-      buf.push (UXMLFormatter.escape (outNode.value, regexEsc));
+      /* HTML scripts and styles aren't escaped */
+      const sup = outNode.superNode;
+
+      if (opts.html && sup !== null && UXML.htmlTags.raw.includes (sup.name)
+      && !UXML.htmlTags.rcdata.includes (sup.name)) {
+        buf.push (outNode.value);
+      } else {
+        buf.push (UXMLFormatter.escape (outNode.value, regexEsc, names));
+      }
+
       return;
     }
 
@@ -1146,41 +3994,93 @@ format (node, indent=0, opts=UXML.defFmtOpts) {
       return;
     }
 
-    if (outNode.type === UXML.nodeType.comment) {
-      buf.push (indentStr (pindented) + '<!--' + outNode.value + '-->');
+    if (outNode.type === UXML.nodeType.comment
+    ||  outNode.type === UXML.nodeType.pi
+    ||  outNode.type === UXML.nodeType.doctype) {
+      buf.push (indentStr (pindented) + UXMLFormatter.markup (outNode));
       return;
     }
 
     let name;
-    let first = outNode.firstNode;
+    const subs = [];
+
+    for (let sub = outNode.firstNode; sub !== null; sub = sub.nextNode) {
+      if (!indented || sub.type !== UXML.nodeType.text) subs.push (sub);
+    }
 
     if (!omitSelf) {
       name = outNode.name;
       let str = indentStr (pindented) + '<' + name;
+      const attrs = [];
+      const decls = [];
+
+      if (opts.namespaces) {
+        const needed = declare (outNode, scope);
+
+        if (needed.size !== 0) {
+          scope = Object.create (scope);
+
+          for (let [prefix, uri] of needed) {
+            scope[prefix] = uri;
+            decls.push ("xmlns" + (prefix ? ':' + prefix : "") + '='
+            + quote + UXMLFormatter.escape (uri || "", regexEsc) + quote);
+          }
+        }
+      }
 
       for (let [attr, value] of outNode.attributes) {
-        str += ' ' + attr + '="' + UXMLFormatter.escape (value, regexEsc) + '"';
+        if (opts.namespaces
+        && (attr === "xmlns" || attr.startsWith ("xmlns:"))) {
+          continue;
+        }
+
+        attrs.push ([attr, value]);
+      }
+
+      if (opts.sortAttributes) {
+        attrs.sort ((a, b) => compare (a[0], b[0]));
+      }
+
+      /* HTML boolean attributes have no value */
+      const strs = decls.concat (attrs.map (([attr, value]) =>
+      (opts.html && value.length === 0) ? attr : attr + '='
+      + quote + UXMLFormatter.escape (value, regexEsc, names) + quote));
+
+      /* Empty tags are either self-closing or closed right away,
+      // and in HTML only void elements have no closing tags */
+      const selfClosing = opts.html ? false : Array.isArray (opts.selfClosing)
+      ? opts.selfClosing.includes (name) : !!opts.selfClosing;
+      const end = (subs.length !== 0) ? '>'
+      : (opts.html && UXML.htmlTags.void.includes (name)) ? '>'
+      : selfClosing ? "/>" : "></" + name + '>';
+
+      /* Wrap the attributes onto their own lines if the tag is too long */
+      const line = str + strs.map ((attr) => ' ' + attr).join ('') + end;
+
+      if (pindented && opts.width > 0 && strs.length > 1
+      && line.length > opts.width) {
+        const sep = eol + indentStr (true, currDepth + 1);
+        str += strs.map ((attr) => sep + attr).join ('') + end;
+      } else {
+        str = line;
       }
 
-      if (!first) {
-        str += '/>';
+      if (subs.length === 0) {
         buf.push (str);
         return;
       }
 
-      str += '>' + (indented ? eol : '');
-      buf.push (str);
+      buf.push (str + (indented ? eol : ''));
       ++currDepth;
     }
 
-    while (first) {
-      outputNode (first, false, indented);
-      first = first.nextNode;
+    /* Children of the outermost tag are top-level too */
+    const sep = (outNode === node) ? gap : eol;
 
-      if (indented && first !== null) {
-        buf.push (eol);
-      }
-    }
+    subs.forEach ((sub, idx) => {
+      if (indented && idx !== 0) buf.push (sep);
+      outputNode (sub, false, indented, preserved, scope);
+    });
 
     if (!omitSelf) {
       --currDepth;
@@ -1189,7 +4089,14 @@ format (node, indent=0, opts=UXML.defFmtOpts) {
     }
   };
 
-  outputNode (node, opts.omitSelf, true);
+  outputNode (node, opts.omitSelf, true, inherited (node.superNode)
+  , Object.assign (Object.create (null), UXML.nsURI));
+
+  if (doc !== undefined) {
+    for (let sub of doc.epilog) {
+      buf.push (gap + UXMLFormatter.markup (sub));
+    }
+  }
 
   if (opts.noIndentFirst) {
     buf[0] = buf[0].trimLeft();
@@ -1198,6 +4105,11 @@ format (node, indent=0, opts=UXML.defFmtOpts) {
   return buf.join ('');
 }}
 
+Object.defineProperties (UXMLFormatter, {
+  /* Reversed entity maps */
+  names: {value: new WeakMap()}
+});
+
 /* =============================================================================
 // Main interface like USON (or JSON)
 // -------------------------------------------------------------------------- */
@@ -1212,7 +4124,9 @@ Object.defineProperties (UXML, {
     tag: 1,
     text: 2,
     cdata: 3,
-    comment: 4
+    comment: 4,
+    pi: 5,
+    doctype: 6
   }},
 
   charLut: {value: [[
@@ -1251,40 +4165,225 @@ Object.defineProperties (UXML, {
     true,  true,  true,  false, false, false, false, false
   ]]},
 
+  /* Strict counterpart of `charLut` following the XML name grammar
+  // (the rest of the code points are checked by `invalidNameAt`) */
+  nameLut: {value: [false, true].map ((start) => {
+    return Array.from ({length: 128}, (v, chr) => (start ? /[:A-Z_a-z]/
+    : /[-.0-9:A-Z_a-z]/).test (String.fromCharCode (chr)));
+  })},
+
+  nameChars: {value: (strict) => strict ? UXML.nameLut : UXML.charLut},
+
   isTagName: {value: (str) => {
-    return (str.length !== 0 && !UXML.pattern.tag.test (data)
-    && !UXML.pattern.ns.test (data));
+    return (str.length !== 0 && !UXML.pattern.tag.test (str)
+    && !UXML.pattern.ns.test (str));
   }},
 
   isAttrName: {value: (str) => {
     return UXML.isTagName (str);
   }},
 
-  parse: {value: (input) => {
-    const doc = new UXMLParser().parse (input, 0, input.length);
+  /* Code points allowed in XML documents */
+  isChar: {value: (codep) => {
+    return codep === 0x9 || codep === 0xA || codep === 0xD
+    || (codep >= 0x20 && codep <= 0xD7FF)
+    || (codep >= 0xE000 && codep <= 0xFFFD)
+    || (codep >= 0x10000 && codep <= 0x10FFFF);
+  }},
+
+  /* HTML elements treated specially in the HTML mode */
+  htmlTags: {value: {
+    void: ["area", "base", "br", "col", "embed", "hr", "img", "input"
+    , "link", "meta", "param", "source", "track", "wbr"],
+    raw: ["script", "style", "textarea", "title"],
+    /* Raw text with the entities resolved */
+    rcdata: ["textarea", "title"],
+    /* Tags which may have their closing tags omitted */
+    implied: ["body", "caption", "colgroup", "dd", "dt", "head", "html", "li"
+    , "optgroup", "option", "p", "rb", "rp", "rt", "rtc", "tbody", "td"
+    , "tfoot", "th", "thead", "tr"],
+    /* Tags which close the nearest open ones of the listed tags
+    // (along with everything inside), unless the tags
+    // of the named boundary list come first */
+    closes: {
+      li: [["li"], "lists"],
+      dd: [["dd", "dt"], "defs"],
+      dt: [["dd", "dt"], "defs"],
+      option: [["option"], "selects"],
+      optgroup: [["option", "optgroup"], "selects"],
+      td: [["td", "th"], "cells"],
+      th: [["td", "th"], "cells"],
+      tr: [["tr"], "rows"],
+      tbody: [["tbody", "tfoot", "thead"], "tables"],
+      tfoot: [["tbody", "tfoot", "thead"], "tables"],
+      thead: [["tbody", "tfoot", "thead"], "tables"]
+    },
+    /* Tags which close the paragraph */
+    closesP: ["address", "article", "aside", "blockquote", "details", "div"
+    , "dl", "fieldset", "figcaption", "figure", "footer", "form", "h1", "h2"
+    , "h3", "h4", "h5", "h6", "header", "hgroup", "hr", "main", "menu", "nav"
+    , "ol", "p", "pre", "section", "table", "ul"],
+    /* Tags which the paragraph and the list item can't be closed across */
+    scopes: ["applet", "button", "caption", "html", "marquee", "object"
+    , "table", "td", "template", "th"],
+    lists: ["applet", "caption", "html", "marquee", "menu", "object", "ol"
+    , "table", "td", "template", "th", "ul"],
+    defs: ["applet", "caption", "dl", "html", "marquee", "object"
+    , "table", "td", "template", "th"],
+    selects: ["datalist", "select", "template"],
+    cells: ["table", "template", "tr"],
+    rows: ["table", "tbody", "template", "tfoot", "thead"],
+    tables: ["table", "template"]
+  }},
+
+  nsURI: {value: {
+    xml: "http://www.w3.org/XML/1998/namespace",
+    xmlns: "http://www.w3.org/2000/xmlns/"
+  }},
+
+  /* Supported encoding names (lowercase) and their aliases */
+  encodings: {value: {
+    "utf-8": "utf-8",
+    "utf8": "utf-8",
+    "utf-16": "utf-16",
+    "utf-16le": "utf-16le",
+    "utf-16be": "utf-16be",
+    "iso-8859-1": "iso-8859-1",
+    "iso8859-1": "iso-8859-1",
+    "iso_8859-1": "iso-8859-1",
+    "latin1": "iso-8859-1",
+    "latin-1": "iso-8859-1",
+    "l1": "iso-8859-1",
+    "us-ascii": "us-ascii",
+    "ascii": "us-ascii"
+  }},
+
+  defParseOpts: {value: {
+    preserveSpace: false,
+    preserveTags: [],
+    namespaces: false,
+    entities: null,
+    unknownEntities: "text",
+    maxEntityExpansion: 1000000,
+    strict: false,
+    locations: false,
+    html: false,
+    document: false
+  }},
+
+  parse: {value: (input, opts=UXML.defParseOpts) => {
+    const parser = new UXMLParser();
+    const doc = parser.parse (input, 0, input.length, opts);
 
     if (doc === null) {
-      throw new SyntaxError();
+      throw parser.error;
     }
 
     return doc;
   }},
 
+  parseBytes: {value: (bytes, opts=UXML.defParseOpts) =>
+    UXML.parse (UXMLParser.decode (bytes, !!opts.strict).text, opts)
+  },
+
   defFmtOpts: {value: {
     codepts: "",
     omitSelf: false,
     depth: 0,
-    noIndentFirst: false
+    noIndentFirst: false,
+    preserveSpace: false,
+    preserveTags: [],
+    namespaces: false,
+    entities: null,
+    width: 0,
+    sortAttributes: false,
+    quote: '"',
+    selfClosing: true,
+    eol: '\n',
+    tabs: false,
+    blankLines: false,
+    html: false,
+    encoding: null,
+    bom: false
   }},
 
   stringify: {value: (node, indent, opts=UXML.defFmtOpts) =>
     new UXMLFormatter().format (node, indent, opts)
   },
 
+  /* The encoding defaults to the declared one */
+  stringifyBytes: {value: (node, indent, opts=UXML.defFmtOpts) => {
+    opts = Object.assign ({}, UXML.defFmtOpts, opts);
+
+    const decl = (node instanceof UXMLDocument) ? node.declaration : null;
+    const declared = (decl !== null && decl.encoding) ? decl.encoding : null;
+    const encoding = opts.encoding || declared || "utf-8";
+    const name = UXML.encodings[encoding.toLowerCase()];
+
+    if (name === undefined) {
+      throw new RangeError("Unsupported encoding " + encoding);
+    }
+
+    /* Plain UTF-16 is either of the byte orders with the mark */
+    const plain = (declared !== null)
+    ? UXML.encodings[declared.toLowerCase()] : null;
+
+    if (plain !== null && plain !== name
+    && !(plain === "utf-16" && name.startsWith ("utf-16"))) {
+      throw new RangeError("Encoding " + encoding
+      + " does not match the declared " + declared);
+    }
+
+    /* Single-byte encodings escape the rest of the characters */
+    if (name === "iso-8859-1" || name === "us-ascii") {
+      opts.codepts = (Array.isArray (opts.codepts) ? opts.codepts : [])
+      .concat ([[(name === "us-ascii") ? 0x80 : 0x100, 0x10FFFF]]);
+    }
+
+    return UXMLFormatter.encode (UXML.stringify (node, indent, opts), name
+    , opts.bom || plain === "utf-16");
+  }},
+
+  defObserveOpts: {value: {
+    childList: true,
+    attributes: false,
+    characterData: false,
+    name: false,
+    subtree: false
+  }},
+
+  observe: {value: (node, callback, opts=UXML.defObserveOpts) => {
+    const observer = new UXMLObserver(callback);
+    observer.observe (node, opts);
+    return observer;
+  }},
+
+  defEqualOpts: {value: {
+    ignoreComments: false,
+    ignoreSpace: false,
+    ignoreAttributeOrder: false
+  }},
+
   pattern: {value: {
     ns: /^:|:.*:|:$/,
     tag: /[\x00-\x20<>"'&=/]/,
     wspace: /[\t\n\r\x20]+/g,
+    pseudoAttr: /\s*([\w\-]+)\s*=\s*("[^"]*"|'[^']*')\s*/y,
+    declStart: /^[\t\n\r\x20?]/,
+    nonAscii: /[^\x00-\x7F]/,
+    charRef: /^#(?:[0-9]+|x[0-9A-Fa-f]+)$/,
+    htmlRef: /(?:#[0-9]+|#[Xx][0-9A-Fa-f]+|[A-Za-z][0-9A-Za-z]*);/y,
+    htmlRefStart: /^(?:#[0-9]*|#[Xx][0-9A-Fa-f]*|[A-Za-z][0-9A-Za-z]*)?$/,
+    illegal: /[^\t\n\r\x20-\u{D7FF}\u{E000}-\u{FFFD}\u{10000}-\u{10FFFF}]/u,
+    nameStart: new RegExp("[:A-Z_a-z\\u{C0}-\\u{D6}\\u{D8}-\\u{F6}"
+    + "\\u{F8}-\\u{2FF}\\u{370}-\\u{37D}\\u{37F}-\\u{1FFF}\\u{200C}-\\u{200D}"
+    + "\\u{2070}-\\u{218F}\\u{2C00}-\\u{2FEF}\\u{3001}-\\u{D7FF}"
+    + "\\u{F900}-\\u{FDCF}\\u{FDF0}-\\u{FFFD}\\u{10000}-\\u{EFFFF}]", "u"),
+    nameChar: new RegExp("[:A-Z_a-z\\u{C0}-\\u{D6}\\u{D8}-\\u{F6}"
+    + "\\u{F8}-\\u{2FF}\\u{370}-\\u{37D}\\u{37F}-\\u{1FFF}\\u{200C}-\\u{200D}"
+    + "\\u{2070}-\\u{218F}\\u{2C00}-\\u{2FEF}\\u{3001}-\\u{D7FF}"
+    + "\\u{F900}-\\u{FDCF}\\u{FDF0}-\\u{FFFD}\\u{10000}-\\u{EFFFF}"
+    + "\\-.0-9\\u{B7}\\u{300}-\\u{36F}\\u{203F}-\\u{2040}]", "u"),
     escape: /[<>"'&]/g
   }}
 });
@@ -1298,9 +4397,15 @@ const nullNode = new UXMLNode(UXML.nodeType.nul, "");
 export {
   UXML,
   UXMLNode,
+  UXMLAttributes,
+  UXMLObserver,
   UXMLDocument,
   UXMLParser,
-  UXMLFormatter
+  UXMLPushParser,
+  UXMLTreeBuilder,
+  UXMLFormatter,
+  UXMLSyntaxError,
+  nullNode
 }
 
 /* ===------------------------------- {U} --------------------------------=== */
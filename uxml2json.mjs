@@ -0,0 +1,346 @@
+/* ================================= $ J $ =====================================
+// <uxml2json.mjs>
+//
+// UXML to JSON converter.
+//
+// This plug-in converts an XML DOM tree into plain JSON values, and back,
+// following one of the common conventions:
+//
+//   * BadgerFish: `{"tag": {"@attr": "value", "$": "text", "sub": {...}}}`;
+//   * Parker: the root and the attributes are dropped, text-only tags
+//     become values, and the empty ones become `null`;
+//   * JsonML: ordered `["tag", {"attr": "value"}, "text", ["sub"]]` arrays.
+//
+// Comments and processing instructions are dropped, and CDATA sections
+// are treated as text. Repeated tags turn into arrays, and the `arrays`
+// option lists the tags which are always converted into arrays.
+// The `coerce` option turns numeric and boolean text into numbers
+// and booleans.
+//
+// Copyright garnetius.
+// -------------------------------------------------------------------------- */
+
+"use strict"
+
+import {UXML, UXMLDocument} from "./uxml.mjs";
+
+/* =============================================================================
+// Add static functions
+// -------------------------------------------------------------------------- */
+
+Object.defineProperties (UXML, {
+
+/* ===--------------------------------------------------------------------------
+// Default conversion options */
+defJsonOpts: {value: {
+  convention: "badgerfish",
+  arrays: [],
+  coerce: false,
+  /* Parker has no root tag name to rebuild the tree with */
+  rootName: "root"
+}},
+
+/* ===--------------------------------------------------------------------------
+// Turn the text into a number or a boolean if it looks like one */
+fromJsonText: {value: function (str, opts) {
+  if (opts.coerce) {
+    if (str === "true") return true;
+    if (str === "false") return false;
+    if (UXML.pattern.jsonNumber.test (str)) return parseFloat (str);
+  }
+
+  return str;
+}},
+
+/* ===--------------------------------------------------------------------------
+// Text content of the tag, or `null` if there is none */
+toJsonText: {value: function (node) {
+  let out = null;
+
+  for (let leaf of node) {
+    if (leaf.type === UXML.nodeType.text
+    || leaf.type === UXML.nodeType.cdata) {
+      out = (out === null) ? leaf.value : out + leaf.value;
+    }
+  }
+
+  if (out !== null && node.firstTag().isTag()) {
+    /* Whitespace around the sub tags doesn't count */
+    out = out.replace (UXML.pattern.wspace, ' ').trim();
+    if (out.length === 0) return null;
+  }
+
+  return out;
+}},
+
+/* ===--------------------------------------------------------------------------
+// Collect the sub tags into the object by name,
+// turning the repeated ones into arrays */
+toJsonTags: {value: function (obj, node, opts, func) {
+  const arrays = opts.arrays || [];
+
+  for (let sub of node.tags()) {
+    const value = func (sub);
+
+    if (obj.hasOwnProperty (sub.name)) {
+      if (!Array.isArray (obj[sub.name])) obj[sub.name] = [obj[sub.name]];
+      obj[sub.name].push (value);
+    } else {
+      obj[sub.name] = arrays.includes (sub.name) ? [value] : value;
+    }
+  }
+
+  return obj;
+}},
+
+/* ===--------------------------------------------------------------------------
+// Append the sub tags for each property of the object,
+// with the arrays turning into repeated tags */
+fromJsonTags: {value: function (node, key, value, func) {
+  if (!UXML.isTagName (key)) {
+    throw new TypeError("Invalid tag name " + JSON.stringify (key));
+  }
+
+  for (let item of Array.isArray (value) ? value : [value]) {
+    const sub = UXMLDocument.newTagNode (key);
+    node.append (sub);
+    func (sub, item);
+  }
+}},
+
+/* ===--------------------------------------------------------------------------
+// Text nodes from the JSON scalars */
+fromJsonScalar: {value: function (node, value) {
+  if (value === null || value === undefined) {
+    return;
+  }
+
+  if (typeof value === "object") {
+    throw new TypeError("Unexpected " + (Array.isArray (value)
+    ? "array" : "object") + " in <" + node.name + '>');
+  }
+
+  const str = String (value);
+
+  if (str.length !== 0) {
+    node.append (UXMLDocument.newTextNode (str));
+  }
+}},
+
+/* ===--------------------------------------------------------------------------
+// Conventions, each with the `to (node, opts)`
+// and `from (value, opts)` functions */
+jsonConventions: {value: {
+
+badgerfish: {
+  to (node, opts) {
+    const conv = (node) => {
+      const obj = new Object();
+
+      for (let [key, value] of node.attributes) {
+        obj['@' + key] = UXML.fromJsonText (value, opts);
+      }
+
+      const text = UXML.toJsonText (node);
+      if (text !== null) obj.$ = UXML.fromJsonText (text, opts);
+
+      return UXML.toJsonTags (obj, node, opts, conv);
+    };
+
+    return {[node.name]: conv (node)};
+  },
+
+  from (value, opts) {
+    const conv = (node, value) => {
+      if (typeof value !== "object" || value === null
+      || Array.isArray (value)) {
+        UXML.fromJsonScalar (node, value);
+        return;
+      }
+
+      for (let key of Object.keys (value)) {
+        const item = value[key];
+
+        if (key === '$') {
+          UXML.fromJsonScalar (node, item);
+        } else if (key[0] === '@') {
+          if (!UXML.isAttrName (key.substring (1))) {
+            throw new TypeError("Invalid attribute name "
+            + JSON.stringify (key.substring (1)));
+          }
+
+          node.attributes.set (key.substring (1), String (item));
+        } else {
+          UXML.fromJsonTags (node, key, item, conv);
+        }
+      }
+    };
+
+    const keys = (typeof value === "object" && value !== null)
+    ? Object.keys (value) : [];
+
+    if (keys.length !== 1 || Array.isArray (value)) {
+      throw new TypeError("BadgerFish value must have a single root key");
+    }
+
+    const root = UXMLDocument.newTagNode (keys[0]);
+    conv (root, value[keys[0]]);
+    return root;
+  }
+},
+
+parker: {
+  to (node, opts) {
+    const conv = (node) => {
+      if (!node.firstTag().isTag()) {
+        const text = UXML.toJsonText (node);
+        return (text === null) ? null : UXML.fromJsonText (text, opts);
+      }
+
+      return UXML.toJsonTags (new Object(), node, opts, conv);
+    };
+
+    return conv (node);
+  },
+
+  from (value, opts) {
+    const conv = (node, value) => {
+      if (typeof value !== "object" || value === null) {
+        UXML.fromJsonScalar (node, value);
+        return;
+      }
+
+      if (Array.isArray (value)) {
+        throw new TypeError("Unexpected array in <" + node.name + '>');
+      }
+
+      for (let key of Object.keys (value)) {
+        UXML.fromJsonTags (node, key, value[key], conv);
+      }
+    };
+
+    const root = UXMLDocument.newTagNode (opts.rootName
+    || UXML.defJsonOpts.rootName);
+
+    conv (root, value);
+    return root;
+  }
+},
+
+jsonml: {
+  to (node, opts) {
+    const conv = (node) => {
+      const out = [node.name];
+
+      if (node.attributes.size !== 0) {
+        const attrs = new Object();
+
+        for (let [key, value] of node.attributes) {
+          attrs[key] = UXML.fromJsonText (value, opts);
+        }
+
+        out.push (attrs);
+      }
+
+      for (let sub of node) {
+        if (sub.type === UXML.nodeType.tag) {
+          out.push (conv (sub));
+        } else if (sub.type === UXML.nodeType.text
+        || sub.type === UXML.nodeType.cdata) {
+          /* Adjacent text nodes are merged */
+          const text = UXML.fromJsonText (sub.value, opts);
+
+          if (out.length > 1 && typeof out[out.length - 1] === "string"
+          && typeof text === "string") {
+            out[out.length - 1] += text;
+          } else {
+            out.push (text);
+          }
+        }
+      }
+
+      return out;
+    };
+
+    return conv (node);
+  },
+
+  from (value, opts) {
+    const conv = (value) => {
+      if (!Array.isArray (value) || typeof value[0] !== "string"
+      || !UXML.isTagName (value[0])) {
+        throw new TypeError("Malformed JsonML element "
+        + JSON.stringify (value));
+      }
+
+      const node = UXMLDocument.newTagNode (value[0]);
+      let idx = 1;
+
+      if (typeof value[1] === "object" && value[1] !== null
+      && !Array.isArray (value[1])) {
+        for (let key of Object.keys (value[1])) {
+          if (!UXML.isAttrName (key)) {
+            throw new TypeError("Invalid attribute name "
+            + JSON.stringify (key));
+          }
+
+          node.attributes.set (key, String (value[1][key]));
+        }
+
+        ++idx;
+      }
+
+      for (; idx < value.length; ++idx) {
+        if (Array.isArray (value[idx])) node.append (conv (value[idx]));
+        else UXML.fromJsonScalar (node, value[idx]);
+      }
+
+      return node;
+    };
+
+    return conv (value);
+  }
+}
+
+}},
+
+/* ===--------------------------------------------------------------------------
+// Look up the convention by name */
+jsonConvention: {value: function (opts) {
+  const name = String (opts.convention || UXML.defJsonOpts.convention);
+  const conv = UXML.jsonConventions[name.toLowerCase()];
+
+  if (conv === undefined) {
+    throw new TypeError("Unknown JSON convention " + name);
+  }
+
+  return conv;
+}},
+
+/* ===--------------------------------------------------------------------------
+// Convert XML node or document into JSON value */
+toJsonValue: {value: function (node, opts=UXML.defJsonOpts) {
+  if (node instanceof UXMLDocument) {
+    node = node.root;
+  }
+
+  if (node.type !== UXML.nodeType.tag) {
+    throw new TypeError();
+  }
+
+  return this.jsonConvention (opts).to (node, opts);
+}},
+
+/* ===--------------------------------------------------------------------------
+// Convert JSON value into XML tree */
+fromJsonValue: {value: function (value, opts=UXML.defJsonOpts) {
+  return this.jsonConvention (opts).from (value, opts);
+}}
+
+});
+
+Object.defineProperties (UXML.pattern, {
+  jsonNumber: {value: /^-?(?:0|[1-9][0-9]*)(?:\.[0-9]+)?(?:[eE][+-]?[0-9]+)?$/}
+});
+
+/* ===------------------------------- {U} --------------------------------=== */
@@ -4,14 +4,14 @@
 // UXML to USON converter.
 //
 // This plug-in performs rough (since no schema is involved) conversion
-// of an XML DOM tree into USON data structure.
+// of an XML DOM tree into USON data structure, and back.
 //
 // Copyright garnetius.
 // -------------------------------------------------------------------------- */
 
 "use strict"
 
-import {UXML} from "./uxml.mjs";
+import {UXML, UXMLDocument} from "./uxml.mjs";
 import {USON, USONVerbatim} from "../uson-js/uson.mjs";
 
 /* =============================================================================
@@ -36,7 +36,8 @@ toUsonNode: {value: function (node, superNode) {
 
     for (let leaf of node) {
       if (leaf.type === UXML.nodeType.tag) return null;
-      if (leaf.type !== UXML.nodeType.comment) out += leaf.value;
+      if (leaf.type === UXML.nodeType.text
+      || leaf.type === UXML.nodeType.cdata) out += leaf.value;
     }
 
     return out;
@@ -103,9 +104,237 @@ toUsonNode: {value: function (node, superNode) {
 }},
 
 /* ===--------------------------------------------------------------------------
-// Convert XML document */
-toUson: {value: function (doc) {
-  return this.toUsonNode (doc.root, null);
+// Convert XML node or document into the ordered JsonML-like structure
+// keeping everything: tags are `[name, {attributes}, ...children]`
+// (the attributes are omitted when there are none), text is a string,
+// and the other nodes are tagged arrays: `["#comment", value]`,
+// `["#cdata", value]`, `["#pi", target, data]`, `["#doctype", name,
+// publicId, systemId, internalSubset]`, and `["#document",
+// {declaration}, ...nodes]`. */
+toUsonLossless: {value: function (node) {
+  if (node instanceof UXMLDocument) {
+    const out = ["#document"];
+
+    if (node.declaration !== null) {
+      out.push (Object.assign ({}, node.declaration));
+    }
+
+    for (let sub of node.nodes()) out.push (this.toUsonLossless (sub));
+    return out;
+  }
+
+  switch (node.type) {
+  case UXML.nodeType.tag: {
+    const out = [node.name];
+
+    if (node.attributes.size !== 0) {
+      const attrs = new Object();
+      this.toUsonAttrs (attrs, node);
+      out.push (attrs);
+    }
+
+    for (let sub of node) out.push (this.toUsonLossless (sub));
+    return out;
+  }
+  case UXML.nodeType.text:
+    return node.value;
+  case UXML.nodeType.cdata:
+    return ["#cdata", node.value];
+  case UXML.nodeType.comment:
+    return ["#comment", node.value];
+  case UXML.nodeType.pi:
+    return ["#pi", node.target, node.data];
+  case UXML.nodeType.doctype:
+    return ["#doctype", node.name, node.publicId, node.systemId
+    , node.internalSubset];
+  default:
+    throw new TypeError();
+  }
+}},
+
+/* ===--------------------------------------------------------------------------
+// Convert XML document, or the bare root tag `UXML.parse()` returns
+// without one. The `lossless` option switches to the ordered mapping
+// `fromUson()` reproduces exactly. */
+toUson: {value: function (doc, opts={}) {
+  if (opts.lossless) {
+    return this.toUsonLossless (doc);
+  }
+
+  return this.toUsonNode ((doc instanceof UXMLDocument) ? doc.root : doc
+  , null);
+}},
+
+/* ===--------------------------------------------------------------------------
+// See if the USON object property becomes an attribute of the tag.
+// Only scalars can, and by default only the ones next to the `USON.$`
+// text content do. The `attributes` option is either a boolean,
+// the list of attribute names, or a function returning a boolean
+// (or `undefined` for the default). */
+fromUsonIsAttr: {value: function (key, value, name, obj, opts) {
+  if (typeof value === "object" && value !== null) {
+    /* Including the verbatim text */
+    return false;
+  }
+
+  const attrs = opts.attributes;
+
+  if (typeof attrs === "boolean") return attrs;
+  if (Array.isArray (attrs)) return attrs.includes (key);
+
+  if (typeof attrs === "function") {
+    const ret = attrs (key, value, name);
+    if (ret !== undefined) return !!ret;
+  }
+
+  return obj[USON.$] !== undefined;
+}},
+
+/* ===--------------------------------------------------------------------------
+// Convert USON value into the contents of the tag */
+fromUsonNode: {value: function (value, node, opts) {
+  const text = (value) => {
+    if (value === null || value === undefined) return "";
+    return (value instanceof USONVerbatim) ? value.toString() : String (value);
+  };
+
+  const append = (key, value) => {
+    if (!UXML.isTagName (key)) {
+      throw new TypeError("Invalid tag name " + JSON.stringify (key));
+    }
+
+    if (Array.isArray (value)) {
+      /* Repeated siblings */
+      for (let item of value) append (key, item);
+      return;
+    }
+
+    const sub = UXMLDocument.newTagNode (key);
+    node.append (sub);
+    this.fromUsonNode (value, sub, opts);
+  };
+
+  if (value === null || value === undefined) {
+    return node;
+  }
+
+  if (Array.isArray (value)) {
+    /* Items of the array under no key */
+    for (let item of value) append (opts.itemName || "item", item);
+  } else if (typeof value !== "object" || value instanceof USONVerbatim) {
+    const str = text (value);
+    if (str.length !== 0) node.append (UXMLDocument.newTextNode (str));
+  } else {
+    for (let key of Object.keys (value)) {
+      const item = value[key];
+
+      if (key === USON.$ || item === undefined) {
+        continue;
+      }
+
+      if (this.fromUsonIsAttr (key, item, node.name, value, opts)) {
+        if (!UXML.isAttrName (key)) {
+          throw new TypeError("Invalid attribute name "
+          + JSON.stringify (key));
+        }
+
+        node.attributes.set (key, text (item));
+      } else {
+        append (key, item);
+      }
+    }
+
+    if (value[USON.$] !== undefined) {
+      this.fromUsonNode (value[USON.$], node, opts);
+    }
+  }
+
+  return node;
+}},
+
+/* ===--------------------------------------------------------------------------
+// Rebuild XML node or document from the lossless mapping */
+fromUsonLossless: {value: function (value) {
+  if (typeof value === "string" || value instanceof USONVerbatim) {
+    return UXMLDocument.newTextNode (value.toString());
+  }
+
+  if (!Array.isArray (value) || typeof value[0] !== "string") {
+    throw new TypeError("Malformed lossless USON node");
+  }
+
+  const hasAttrs = typeof value[1] === "object" && value[1] !== null
+  && !Array.isArray (value[1]) && !(value[1] instanceof USONVerbatim);
+
+  switch (value[0]) {
+  case "#document": {
+    const nodes = value.slice (hasAttrs ? 2 : 1)
+    .map ((item) => this.fromUsonLossless (item));
+    const idx = nodes.findIndex ((node) => node.type === UXML.nodeType.tag);
+
+    if (idx === -1) {
+      throw new TypeError("Malformed lossless USON node");
+    }
+
+    const doc = new UXMLDocument(nodes[idx]);
+    if (hasAttrs) doc.declaration = Object.assign ({}, value[1]);
+    doc.prolog.push (...nodes.slice (0, idx));
+    doc.epilog.push (...nodes.slice (idx + 1));
+    return doc;
+  }
+  case "#cdata":
+    return UXMLDocument.newCdataNode (value[1]);
+  case "#comment":
+    return UXMLDocument.newCommentNode (value[1]);
+  case "#pi":
+    return UXMLDocument.newPiNode (value[1], value[2]);
+  case "#doctype":
+    return UXMLDocument.newDoctypeNode (...value.slice (1, 5));
+  }
+
+  const node = UXMLDocument.newTagNode (value[0]);
+
+  if (hasAttrs) {
+    for (let key of Object.keys (value[1])) {
+      node.attributes.set (key, String (value[1][key]));
+    }
+  }
+
+  for (let idx = hasAttrs ? 2 : 1; idx < value.length; ++idx) {
+    node.append (this.fromUsonLossless (value[idx]));
+  }
+
+  return node;
+}},
+
+/* ===--------------------------------------------------------------------------
+// Convert USON value into XML tree. Without the root tag name
+// the value must be an object with a single key naming it,
+// just like `toUson()` produces, or an array produced
+// by the lossless mapping. */
+fromUson: {value: function (value, rootName=undefined, opts={}) {
+  if ((rootName === undefined || rootName === null)
+  && Array.isArray (value)) {
+    return this.fromUsonLossless (value);
+  }
+
+  if (rootName === undefined || rootName === null) {
+    const keys = (typeof value === "object" && value !== null)
+    ? Object.keys (value) : [];
+
+    if (keys.length !== 1) {
+      throw new TypeError("Root tag name is required");
+    }
+
+    rootName = keys[0];
+    value = value[rootName];
+  }
+
+  if (!UXML.isTagName (rootName)) {
+    throw new TypeError("Invalid tag name " + JSON.stringify (rootName));
+  }
+
+  return this.fromUsonNode (value, UXMLDocument.newTagNode (rootName), opts);
 }}
 
 /* ===------------------------------- {U} --------------------------------=== */